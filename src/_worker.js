@@ -1,18 +1,10 @@
-// src/_worker.js — Technology Matrix (Worker + restdb.io) — iFrame-friendly for Dynamics
+// src/_worker.js — Technology Matrix (Worker + restdb.io or D1) — iFrame-friendly for Dynamics
 export default {
   async fetch(req, env) {
     const url = new URL(req.url);
 
     if (url.pathname === "/") {
-      return new Response(htmlPage(env), {
-        headers: {
-          "content-type": "text/html; charset=utf-8",
-          "content-security-policy":
-            "frame-ancestors https://packetfusioncrm.crm.dynamics.com;",
-          "referrer-policy": "strict-origin-when-cross-origin",
-          "x-content-type-options": "nosniff",
-        },
-      });
+      return new Response(htmlPage(env), { headers: HTML_HEADERS });
     }
 
     if (url.pathname.startsWith("/api/")) {
@@ -21,9 +13,55 @@ export default {
 
     return new Response("Not Found", { status: 404 });
   },
+
+  // Cron Triggers (see [triggers] in wrangler.toml): the nightly Dynamics sync
+  // and the weekly contract renewal digest.
+  async scheduled(event, env, ctx) {
+    if (event.cron === CRM_SYNC_CRON) {
+      if (!env.DATAVERSE_URL) return;
+      ctx.waitUntil(
+        syncCustomers(env, { opportunities: env.DATAVERSE_CREATE_OPPORTUNITIES === "1", by: "cron", trigger: "cron" })
+          .then(({ synced, failed, opportunities }) => console.log("crm sync", JSON.stringify({ synced, failed, opportunities })))
+          .catch((e) => console.error("crm sync failed", e))
+      );
+      return;
+    }
+    ctx.waitUntil(
+      sendRenewalDigest(env)
+        .then((result) => console.log("renewal digest", JSON.stringify(result)))
+        .catch((e) => console.error("renewal digest failed", e && e.detail ? e.detail : e))
+    );
+  },
 };
 
 /* ----------------------------- Helpers ----------------------------- */
+// Must match the second entry of [triggers] crons in wrangler.toml.
+const CRM_SYNC_CRON = "0 5 * * *";
+
+// For the page and the printable report (both can sit in the Dynamics iFrame).
+const HTML_HEADERS = {
+  "content-type": "text/html; charset=utf-8",
+  "content-security-policy": "frame-ancestors https://packetfusioncrm.crm.dynamics.com;",
+  "referrer-policy": "strict-origin-when-cross-origin",
+  "x-content-type-options": "nosniff",
+};
+
+// Starting taxonomy; the categories collection is seeded from it on first read.
+const SEED_CATEGORIES = [
+  "UC/UCaaS",
+  "AI",
+  "PSTN/POTS",
+  "Physical Infrastructure/IaaS",
+  "Backup/BaaS",
+  "DR/DRaaS",
+  "MSP",
+  "Physical Security",
+  "Cyber Security",
+  "WAN/SD-WAN/SASE",
+  "TEM (technology expense management)",
+  "Miscellaneous Projects",
+];
+
 function json(obj, status = 200, headers = {}) {
   return new Response(JSON.stringify(obj, null, 2), {
     status,
@@ -31,21 +69,36 @@ function json(obj, status = 200, headers = {}) {
   });
 }
 
-function computeTIME(technicalFit, functionalFit) {
-  const techHigh = Number(technicalFit) >= 4;
-  const funcHigh = Number(functionalFit) >= 4;
-
-  if (techHigh && funcHigh) return { code: "I", label: "Invest" };
-  if (!techHigh && funcHigh) return { code: "M", label: "Migrate" };
-  if (techHigh && !funcHigh) return { code: "T", label: "Tolerate" };
-  return { code: "E", label: "Eliminate" };
-}
-
 function requireEnv(env, keys = []) {
   const missing = keys.filter((k) => !env[k]);
   if (missing.length) throw new Error(`Missing env vars: ${missing.join(", ")}`);
 }
 
+// Validation errors are keyed by field: { solution: ["solution is required"] }.
+// Responses keep `error` (the first message) for clients that only show one line.
+function addError(errors, field, message) {
+  (errors[field] = errors[field] || []).push(message);
+}
+
+function hasErrors(errors) {
+  return Object.keys(errors).length > 0;
+}
+
+function errorResponse(errors, status = 400) {
+  const first = Object.values(errors)[0];
+  return json({ ok: false, error: first ? first[0] : "Invalid request", errors }, status);
+}
+
+function isIsoDate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 function escapeHtml(s) {
   return String(s)
     .replace(/&/g, "&amp;")
@@ -78,685 +131,6809 @@ async function restdbFetch(env, pathWithQuery, init = {}) {
   return { res, data };
 }
 
-/* ----------------------------- API ----------------------------- */
-async function handleApi(req, env, url) {
-  // /api/items, /api/items/:id
-  if (url.pathname.startsWith("/api/items")) {
-    return handleItems(req, env, url);
+/* ----------------------------- STORAGE ----------------------------- */
+// handleItems/handleCustomers talk to a small store interface instead of a
+// specific database. STORAGE in wrangler.toml picks the adapter:
+//   "restdb" (default) — restdb.io over HTTPS (RESTDB_BASE / RESTDB_API_KEY)
+//   "d1"               — Cloudflare D1 bound as DB; works offline under `wrangler dev`
+//
+// Both adapters implement:
+//   list(collection, { q, sort, skip, max, fields }) -> docs
+//   count(collection, q)                              -> number
+//   get(collection, id)                               -> doc | null
+//   create(collection, doc)                           -> doc (with _id)
+//   update(collection, id, patch)                     -> merged doc
+//   remove(collection, id)
+//   distinctCustomers(collection, q)                  -> [{ customerName, count }]
+//
+// Queries are the restdb/Mongo subset this app uses: equality (null matches
+// missing), $ne/$in/$nin/$gt/$gte/$lt/$lte/$exists/$regex and $or/$and.
+// Failures throw StoreError, which handleApi turns into a JSON error.
+class StoreError extends Error {
+  constructor(status, detail) {
+    super(typeof detail === "string" ? detail : `Storage error (${status})`);
+    this.name = "StoreError";
+    this.status = status;
+    this.detail = detail;
   }
+}
 
-  // /api/customers
-  if (url.pathname === "/api/customers") {
-    return handleCustomers(req, env);
-  }
+function itemsCollection(env) {
+  return String(env.RESTDB_COLLECTION || "techmatrix-items");
+}
 
-  return json({ ok: false, error: "Not Found" }, 404);
+function getStore(env) {
+  const kind = String(env.STORAGE || "restdb").trim().toLowerCase();
+  if (kind === "restdb") return restdbStore(env);
+  if (kind === "d1") return d1Store(env);
+  throw new Error(`Unknown STORAGE "${kind}" (expected "restdb" or "d1")`);
 }
 
-async function handleItems(req, env, url) {
-  const baseCol = String(env.RESTDB_COLLECTION || "");
-  if (!baseCol) return json({ ok: false, error: "Missing RESTDB_COLLECTION" }, 500);
+function project(doc, fields) {
+  if (!fields) return doc;
+  const out = { _id: doc._id };
+  for (const f of Object.keys(fields)) {
+    if (fields[f] && doc[f] !== undefined) out[f] = doc[f];
+  }
+  return out;
+}
 
-  const parts = url.pathname.split("/").filter(Boolean); // ["api","items",":id?"]
-  const id = parts[2] || null;
+function restdbStore(env) {
+  const path = (collection, id) =>
+    `/rest/${encodeURIComponent(collection)}${id != null ? `/${encodeURIComponent(id)}` : ""}`;
 
-  const col = encodeURIComponent(baseCol);
+  async function call(pathWithQuery, init) {
+    const { res, data } = await restdbFetch(env, pathWithQuery, init);
+    if (!res.ok) throw new StoreError(res.status, data);
+    return data;
+  }
 
-  // GET /api/items?customerName=...&category=...
-  if (req.method === "GET" && !id) {
-    const customerName = (url.searchParams.get("customerName") || "").trim();
-    const customerId = (url.searchParams.get("customerId") || "").trim(); // legacy/optional
-    const category = (url.searchParams.get("category") || "").trim();
+  async function list(collection, { q, sort, skip, max, fields } = {}) {
+    const params = [];
+    if (q && Object.keys(q).length) params.push(`q=${encodeURIComponent(JSON.stringify(q))}`);
+    if (fields) params.push(`fields=${encodeURIComponent(JSON.stringify(fields))}`);
+    if (sort) params.push(`sort=${encodeURIComponent(JSON.stringify(sort))}`);
+    if (skip) params.push(`skip=${Number(skip)}`);
+    if (max) params.push(`max=${Number(max)}`);
 
-    const q = {};
-    if (customerName) q.customerName = customerName;
-    if (!customerName && customerId) q.customerId = customerId;
-    if (category) q.category = category;
+    const data = await call(`${path(collection)}${params.length ? `?${params.join("&")}` : ""}`, { method: "GET" });
+    return Array.isArray(data) ? data : [];
+  }
 
-    const sort = encodeURIComponent(JSON.stringify({ createdAt: -1 }));
-    const qParam =
-      Object.keys(q).length > 0
-        ? `?q=${encodeURIComponent(JSON.stringify(q))}&sort=${sort}`
-        : `?sort=${sort}`;
+  return {
+    list,
 
-    const { res, data } = await restdbFetch(env, `/rest/${col}${qParam}`, { method: "GET" });
-    if (!res.ok) return json({ ok: false, error: data }, res.status);
-    return json({ ok: true, items: Array.isArray(data) ? data : [] });
-  }
+    // totals=true&count=true returns only { totals: { count } }, not the records.
+    async count(collection, q) {
+      const params = ["totals=true", "count=true"];
+      if (q && Object.keys(q).length) params.push(`q=${encodeURIComponent(JSON.stringify(q))}`);
+      const data = await call(`${path(collection)}?${params.join("&")}`, { method: "GET" });
+      return Number(data && data.totals && data.totals.count) || 0;
+    },
 
-  // POST /api/items
-  if (req.method === "POST" && !id) {
-    const body = await req.json().catch(() => null);
-    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+    async get(collection, id) {
+      const { res, data } = await restdbFetch(env, path(collection, id), { method: "GET" });
+      if (res.status === 404) return null;
+      if (!res.ok) throw new StoreError(res.status, data);
+      return data;
+    },
 
-    const S = (v) => (v == null ? "" : String(v).trim());
+    async create(collection, doc) {
+      return call(path(collection), { method: "POST", body: JSON.stringify(doc) });
+    },
 
-    const technicalFit = Number(body.technicalFit);
-    const functionalFit = Number(body.functionalFit);
+    async update(collection, id, patch) {
+      return call(path(collection, id), { method: "PUT", body: JSON.stringify(patch) });
+    },
 
-    if (!(technicalFit >= 1 && technicalFit <= 5)) return json({ ok: false, error: "technicalFit must be 1-5" }, 400);
-    if (!(functionalFit >= 1 && functionalFit <= 5)) return json({ ok: false, error: "functionalFit must be 1-5" }, 400);
+    async remove(collection, id) {
+      await call(path(collection, id), { method: "DELETE" });
+    },
 
-    const customerName = S(body.customerName);
-    const customerId = S(body.customerId); // optional
-    const category = S(body.category);
-    const solution = S(body.solution);
-    const vendor = S(body.vendor);
-    const notes = S(body.notes);
-    const dateImplemented = S(body.dateImplemented);
-    const contractExpiration = S(body.contractExpiration);
+    // restdb has no GROUP BY over REST, so pull just the names and count them here.
+    async distinctCustomers(collection, q) {
+      const items = await list(collection, { q, fields: { customerName: 1 } });
+      const map = new Map();
 
-    if (!customerName || !category || !solution) {
-      return json({ ok: false, error: "customerName, category, and solution are required" }, 400);
-    }
+      for (const it of items) {
+        const name = (it && it.customerName ? String(it.customerName).trim() : "");
+        if (!name) continue;
+        map.set(name, (map.get(name) || 0) + 1);
+      }
 
-    const time = computeTIME(technicalFit, functionalFit);
-    const now = new Date().toISOString();
+      return Array.from(map.entries())
+        .map(([customerName, count]) => ({ customerName, count }))
+        .sort((a, b) => a.customerName.localeCompare(b.customerName));
+    },
+  };
+}
 
-    const doc = {
-      customerName,
-      customerId: customerId || null,
-      category,
-      solution,
-      vendor,
-      notes,
-      technicalFit,
-      functionalFit,
-      timeCode: time.code,
-      timeLabel: time.label,
-      dateImplemented: dateImplemented || null,
-      contractExpiration: contractExpiration || null,
-      createdAt: now,
-      updatedAt: now,
-    };
+/* D1: every collection lives in one documents table as JSON; queries are
+   translated to json_extract()/json_each() SQL. */
+let d1Ready = null;
 
-    const { res, data } = await restdbFetch(env, `/rest/${col}`, {
-      method: "POST",
-      body: JSON.stringify(doc),
-    });
+function d1Store(env) {
+  const db = env.DB;
+  if (!db) throw new Error('STORAGE = "d1" needs a D1 database bound as DB');
 
-    if (!res.ok) return json({ ok: false, error: data }, res.status);
-    return json({ ok: true, item: data });
+  function ready() {
+    if (!d1Ready) {
+      d1Ready = db
+        .prepare(
+          "CREATE TABLE IF NOT EXISTS documents (" +
+            "collection TEXT NOT NULL, id TEXT NOT NULL, data TEXT NOT NULL, " +
+            "PRIMARY KEY (collection, id))"
+        )
+        .run()
+        .catch((e) => {
+          d1Ready = null;
+          throw e;
+        });
+    }
+    return d1Ready;
   }
 
-  // PUT /api/items/:id
-  if (req.method === "PUT" && id) {
-    const body = await req.json().catch(() => null);
-    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+  async function get(collection, id) {
+    await ready();
+    const row = await db
+      .prepare("SELECT data FROM documents WHERE collection = ? AND id = ?")
+      .bind(collection, String(id))
+      .first();
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async function where(collection, q) {
+    await ready();
+    const params = [collection];
+    const clause = sqlFilter(q || {}, params);
+    return { sql: `collection = ?${clause ? ` AND ${clause}` : ""}`, params };
+  }
 
-    const S = (v) => (v == null ? "" : String(v).trim());
+  return {
+    get,
 
-    const technicalFit = Number(body.technicalFit);
-    const functionalFit = Number(body.functionalFit);
+    async list(collection, { q, sort, skip, max, fields } = {}) {
+      const w = await where(collection, q);
+      let sql = `SELECT data FROM documents WHERE ${w.sql}`;
 
-    if (!(technicalFit >= 1 && technicalFit <= 5)) return json({ ok: false, error: "technicalFit must be 1-5" }, 400);
-    if (!(functionalFit >= 1 && functionalFit <= 5)) return json({ ok: false, error: "functionalFit must be 1-5" }, 400);
+      const order = Object.entries(sort || {}).map(
+        ([f, dir]) => `${sqlField(f)} ${Number(dir) < 0 ? "DESC" : "ASC"}`
+      );
+      if (order.length) sql += ` ORDER BY ${order.join(", ")}`;
+      if (max || skip) sql += ` LIMIT ${max ? Number(max) : -1} OFFSET ${Number(skip) || 0}`;
 
-    const customerName = S(body.customerName);
-    const category = S(body.category);
-    const solution = S(body.solution);
-    const vendor = S(body.vendor);
-    const notes = S(body.notes);
-    const dateImplemented = S(body.dateImplemented);
-    const contractExpiration = S(body.contractExpiration);
+      const { results } = await db.prepare(sql).bind(...w.params).all();
+      return (results || []).map((r) => project(JSON.parse(r.data), fields));
+    },
 
-    if (!customerName || !category || !solution) {
-      return json({ ok: false, error: "customerName, category, and solution are required" }, 400);
-    }
+    async count(collection, q) {
+      const w = await where(collection, q);
+      const row = await db.prepare(`SELECT COUNT(*) AS n FROM documents WHERE ${w.sql}`).bind(...w.params).first();
+      return Number(row && row.n) || 0;
+    },
 
-    const time = computeTIME(technicalFit, functionalFit);
-    const now = new Date().toISOString();
+    async create(collection, doc) {
+      await ready();
+      const saved = { ...doc, _id: crypto.randomUUID().replace(/-/g, "") };
+      await db
+        .prepare("INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)")
+        .bind(collection, saved._id, JSON.stringify(saved))
+        .run();
+      return saved;
+    },
 
-    const patch = {
-      customerName,
-      category,
-      solution,
-      vendor,
-      notes,
-      technicalFit,
-      functionalFit,
-      timeCode: time.code,
-      timeLabel: time.label,
-      dateImplemented: dateImplemented || null,
-      contractExpiration: contractExpiration || null,
-      updatedAt: now,
-    };
+    async update(collection, id, patch) {
+      const existing = await get(collection, id);
+      if (!existing) throw new StoreError(404, { message: "Record not found", id });
 
-    const { res, data } = await restdbFetch(env, `/rest/${col}/${encodeURIComponent(id)}`, {
-      method: "PUT",
-      body: JSON.stringify(patch),
-    });
+      const saved = { ...existing, ...patch, _id: existing._id };
+      await db
+        .prepare("UPDATE documents SET data = ? WHERE collection = ? AND id = ?")
+        .bind(JSON.stringify(saved), collection, String(id))
+        .run();
+      return saved;
+    },
 
-    if (!res.ok) return json({ ok: false, error: data }, res.status);
-    return json({ ok: true, item: data });
-  }
+    async remove(collection, id) {
+      await ready();
+      const out = await db
+        .prepare("DELETE FROM documents WHERE collection = ? AND id = ?")
+        .bind(collection, String(id))
+        .run();
+      if (out && out.meta && out.meta.changes === 0) throw new StoreError(404, { message: "Record not found", id });
+    },
 
-  // DELETE /api/items/:id
-  if (req.method === "DELETE" && id) {
-    const { res, data } = await restdbFetch(env, `/rest/${col}/${encodeURIComponent(id)}`, {
-      method: "DELETE",
-    });
-    if (!res.ok) return json({ ok: false, error: data }, res.status);
-    return json({ ok: true });
+    async distinctCustomers(collection, q) {
+      const w = await where(collection, q);
+      const name = "trim(json_extract(data, '$.customerName'))";
+      const { results } = await db
+        .prepare(
+          `SELECT ${name} AS customerName, COUNT(*) AS count FROM documents ` +
+            `WHERE ${w.sql} AND ${name} <> '' GROUP BY ${name} ORDER BY ${name}`
+        )
+        .bind(...w.params)
+        .all();
+      return (results || []).map((r) => ({ customerName: r.customerName, count: Number(r.count) }));
+    },
+  };
+}
+
+function sqlField(field) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/.test(field)) {
+    throw new StoreError(400, { message: `Invalid field name: ${field}` });
   }
+  return `json_extract(data, '$.${field}')`;
+}
 
-  return json({ ok: false, error: "Method not allowed" }, 405);
+function sqlValue(v) {
+  if (typeof v === "boolean") return v ? 1 : 0;
+  return v;
 }
 
-async function handleCustomers(req, env) {
-  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+// Translate the Mongo-style filter subset into a WHERE clause; params are appended in order.
+function sqlFilter(q, params) {
+  const clauses = [];
 
-  // For simplicity: fetch all items, aggregate distinct customerName.
-  // This is fine for internal use with modest volumes.
-  const col = encodeURIComponent(String(env.RESTDB_COLLECTION || ""));
-  const fields = encodeURIComponent(JSON.stringify({ customerName: 1 }));
-  const sort = encodeURIComponent(JSON.stringify({ customerName: 1 }));
+  for (const [key, cond] of Object.entries(q)) {
+    if (key === "$or" || key === "$and") {
+      const parts = (Array.isArray(cond) ? cond : []).map((sub) => sqlFilter(sub, params) || "1");
+      if (parts.length) clauses.push(`(${parts.join(key === "$or" ? " OR " : " AND ")})`);
+      continue;
+    }
 
-  const { res, data } = await restdbFetch(env, `/rest/${col}?fields=${fields}&sort=${sort}`, {
-    method: "GET",
-  });
+    const f = sqlField(key);
+    // json_each() yields the value itself for scalars and each element for arrays,
+    // which mirrors Mongo's "equality matches array elements" rule.
+    const contains = (test) => `EXISTS (SELECT 1 FROM json_each(data, '$.${key}') WHERE value ${test})`;
 
-  if (!res.ok) return json({ ok: false, error: data }, res.status);
+    if (cond === null) {
+      clauses.push(`${f} IS NULL`);
+      continue;
+    }
+    if (typeof cond !== "object" || Array.isArray(cond)) {
+      params.push(sqlValue(cond));
+      clauses.push(contains("= ?"));
+      continue;
+    }
 
-  const items = Array.isArray(data) ? data : [];
-  const map = new Map();
+    for (const [op, arg] of Object.entries(cond)) {
+      if (op === "$options") continue;
 
-  for (const it of items) {
-    const name = (it && it.customerName ? String(it.customerName).trim() : "");
-    if (!name) continue;
-    map.set(name, (map.get(name) || 0) + 1);
+      if (op === "$ne") {
+        if (arg === null) {
+          clauses.push(`${f} IS NOT NULL`);
+        } else {
+          params.push(sqlValue(arg));
+          clauses.push(`NOT ${contains("= ?")}`);
+        }
+      } else if (op === "$in" || op === "$nin") {
+        const values = Array.isArray(arg) ? arg : [];
+        if (!values.length) {
+          clauses.push(op === "$in" ? "0" : "1");
+          continue;
+        }
+        const hasNull = values.some((v) => v === null);
+        const nonNull = values.filter((v) => v !== null);
+        const ors = [];
+        if (nonNull.length) {
+          params.push(...nonNull.map(sqlValue));
+          ors.push(contains(`IN (${nonNull.map(() => "?").join(", ")})`));
+        }
+        if (hasNull) ors.push(`${f} IS NULL`);
+        const any = `(${ors.join(" OR ")})`;
+        clauses.push(op === "$in" ? any : `NOT ${any}`);
+      } else if (op === "$gt" || op === "$gte" || op === "$lt" || op === "$lte") {
+        const sym = { $gt: ">", $gte: ">=", $lt: "<", $lte: "<=" }[op];
+        params.push(sqlValue(arg));
+        clauses.push(`${f} ${sym} ?`);
+      } else if (op === "$exists") {
+        clauses.push(`json_type(data, '$.${key}') IS ${arg ? "NOT NULL" : "NULL"}`);
+      } else if (op === "$regex") {
+        params.push(regexToLike(String(arg)));
+        clauses.push(`${f} LIKE ? ESCAPE '\\'`);
+      } else {
+        throw new StoreError(400, { message: `Unsupported query operator: ${op}` });
+      }
+    }
   }
 
-  const customers = Array.from(map.entries())
-    .map(([customerName, count]) => ({ customerName, count }))
-    .sort((a, b) => a.customerName.localeCompare(b.customerName));
-
-  return json({ ok: true, customers });
+  return clauses.join(" AND ");
 }
 
-/* ----------------------------- UI ----------------------------- */
-function htmlPage(env) {
-  const categories = [
-    "UC/UCaaS",
-    "AI",
-    "PSTN/POTS",
-    "Physical Infrastructure/IaaS",
-    "Backup/BaaS",
-    "DR/DRaaS",
-    "MSP",
-    "Physical Security",
-    "Cyber Security",
-    "WAN/SD-WAN/SASE",
-    "TEM (technology expense management)",
-    "Miscellaneous Projects",
-  ];
-
-  const categoriesOptions = categories
-    .map((c) => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`)
-    .join("");
+// D1 has no REGEXP, so only the regexes this app builds (an escaped literal,
+// optionally anchored with ^) are supported; SQLite LIKE is case-insensitive.
+function regexToLike(pattern) {
+  let anchored = false;
+  let body = pattern;
+  if (body.startsWith("^")) {
+    anchored = true;
+    body = body.slice(1);
+  }
 
-  return `<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width,initial-scale=1" />
-  <title>Technology Matrix</title>
-  <style>
-    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; margin: 18px; }
-    .wrap { max-width: 100%; margin: 18px; }
-    h1 { margin: 0 0 8px; }
-    .sub { color: #555; margin: 0 0 16px; }
-    .grid {
-      display: grid;
-      grid-template-columns: 420px 1fr; /* 👈 left fixed, right flexible */
-      gap: 16px;
-      align-items: start;
-    }
-    .grid > .card:first-child {
-      position: sticky;
-      top: 12px;              
-      align-self: start;
-    }
-    .grid > .card:last-child table {
-      font-size: 13px;
-    }
-    .grid > .card:last-child th,
-    .grid > .card:last-child td {
-      padding: 8px 10px;
-    }
-    label { font-size: 12px; color: #333; display:block; margin-bottom: 6px;  color: #605e5c; font-weight: 600;}
-    input, select, textarea { width: 100%; min-width: 0; padding: 10px; border: 1px solid #c8c6c4; border-radius: 8px; font-size: 14px; box-sizing: border-box; background: #fff;}
-    input:focus, select:focus, textarea:focus {
-      outline: none;
-      border-color: #605e5c;
-      box-shadow: 0 0 0 2px rgba(0,0,0,.06);
+  let literal = "";
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === "\\" && i + 1 < body.length) {
+      literal += body[++i];
+    } else if (".*+?()[]{}|^$".includes(ch)) {
+      throw new StoreError(400, { message: `Unsupported $regex for D1: ${pattern}` });
+    } else {
+      literal += ch;
     }
-    textarea { min-height: 84px; resize: vertical; }
-    .row { display:flex; gap: 12px; align-items:center; flex-wrap: wrap;}
-    .row > * { flex: 1; min-width: 220px;}
-    /* Cards */
-    .card {
-        background: #fff;
-        border: 1px solid #edebe9;
-        box-shadow: none;
-        border-radius: 12px;
-        min-width: 0;
-        padding: 8px;
-      }
-    .actions { display:flex; gap: 10px; margin-top: 12px; }
-    button { padding: 10px 14px; border-radius: 8px; border: 1px solid #c8c6c4; background: #fff; cursor: pointer; font-weight: 600; }
-    button.primary { background: #0f6cbd; border-color: #0f6cbd; color: #fff; }
-    button.primary:hover { filter: brightness(0.98); }
-    .pill { display:inline-flex; align-items:center; gap: 8px; padding: 6px 10px; border-radius: 999px; font-size: 12px; border: 1px solid #ddd; }
-    .seg { display:flex; border: 1px solid #ccc; border-radius: 999px; overflow:hidden; }
-    .seg button { flex: 1; padding: 10px 0; border: 0; background: #fff; cursor: pointer; font-weight: 700; }
-    .seg button + button { border-left: 1px solid #eee; }
-    .seg button.active { background: #111; color: #fff; }
-    .time { font-weight: 800; width: 22px; height: 22px; border-radius: 8px; display:inline-flex; align-items:center; justify-content:center; color:#fff; }
-    .I { background: #1f9d55; }
-    .M { background: #d97706; }
-    .T { background: #64748b; }
-    .E { background: #dc2626; }
-    table { width:100%; border-collapse: collapse; table-layout: fixed;}
-    th, td { padding: 10px; border-bottom: 1px solid #eee; vertical-align: top; overflow-wrap: anywhere;}
-    th { text-align:left; font-size: 12px; color:#444; }
-    .muted { color:#666; font-size: 12px; }
-    .topbar { display:flex; gap: 12px; align-items:flex-end; justify-content: space-between; }
-    .topbar .filters { display:flex; gap: 12px; }
-    .small { max-width: 260px; }
-    .error { color:#b91c1c; font-size: 13px; margin-top: 8px; }
-    .hidden { display:none; }
-    #copyCrmLink { max-width: 120px; }
-    @media (max-width: 1100px) {
-      .grid { grid-template-columns: 1fr;}
-      .grid > .card:first-child { position: static; }
-  </style>
-</head>
-<body>
-  <div class="wrap">
-    <h1 id="title">Technology Matrix</h1>
-    <p class="sub" id="subtitle">Capture current-state solutions by category and score them using TIME (Technical vs Functional fit).</p>
+  }
 
-    <div class="grid">
-      <div class="card">
-      <input id="editingId" type="hidden" value="" />
-        <div class="row">
-          <div id="customerNameBlock">
-            <label>Customer Name</label>
-            <input id="customerName" placeholder="e.g., Huntington Medical, Smart & Final..." />
-            <div class="muted">Tip (embed): ?customerName=&lt;name&gt;&embed=1</div>
-          </div>
-          <div>
-            <label>Category</label>
-            <select id="category">
-              ${categoriesOptions}
-            </select>
-          </div>
-        </div>
+  const escaped = literal.replace(/[\\%_]/g, (c) => `\\${c}`);
+  return `${anchored ? "" : "%"}${escaped}%`;
+}
 
-        <div class="row" style="margin-top:12px;">
-          <div>
-            <label>Current Solution</label>
-            <input id="solution" placeholder="Zoom Phone, RingCentral, Mitel, Teams, etc." />
-          </div>
-          <div>
-            <label>Vendor (optional)</label>
-            <input id="vendor" placeholder="Zoom / Microsoft / Cisco / Fortinet..." />
-          </div>
-        </div>
+/* ----------------------------- AUTH ----------------------------- */
+// Two ways in:
+//  - API keys for scripts: API_KEYS secret, JSON of
+//    { "<key>": { "user": "...", "role": "viewer|editor|admin", "team": "..." } }
+//  - Signed tokens for the Dynamics iFrame: HMAC-SHA256 over a small JSON
+//    payload { sub, role, team, exp } using the AUTH_SECRET secret.
+// Either one is sent as "Authorization: Bearer <credential>" (or x-api-key).
+// GET requests may also pass ?token=<credential> so links and downloads work.
+const ROLES = ["viewer", "editor", "admin"];
 
-        <div class="row" style="margin-top:12px;">
-          <div>
-            <label>Technical Fit (1-5)</label>
-            <div class="seg" id="techSeg">
-              <button type="button" data-v="1">1</button>
-              <button type="button" data-v="2">2</button>
-              <button type="button" data-v="3">3</button>
-              <button type="button" data-v="4">4</button>
-              <button type="button" data-v="5">5</button>
-            </div>
-            <input id="technicalFit" type="hidden" value="5" />
-          </div>
+function hasRole(auth, role) {
+  return !!auth && ROLES.indexOf(auth.role) >= ROLES.indexOf(role);
+}
 
-          <div>
-            <label>Functional Fit (1-5)</label>
-            <div class="seg" id="funcSeg">
-              <button type="button" data-v="1">1</button>
-              <button type="button" data-v="2">2</button>
-              <button type="button" data-v="3">3</button>
-              <button type="button" data-v="4">4</button>
-              <button type="button" data-v="5">5</button>
-            </div>
-            <input id="functionalFit" type="hidden" value="5" />
-          </div>
-        </div>
+function requireRole(auth, role) {
+  if (hasRole(auth, role)) return null;
+  return json({ ok: false, error: `Requires ${role} role` }, 403);
+}
 
-        <div class="row" style="margin-top:12px;">
-          <div>
-            <label>Date Implemented</label>
-            <input id="dateImplemented" type="date" />
-          </div>
-          <div>
-            <label>Contract Expiration</label>
-            <input id="contractExpiration" type="date" />
-          </div>
-        </div>
+function b64urlEncode(bytes) {
+  let bin = "";
+  for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
 
-        <div style="margin-top:12px;">
-          <label>Notes / Customer Feedback</label>
-          <textarea id="notes" placeholder="What did the customer say? Pain points? Support issues? Contract pressure?"></textarea>
-        </div>
+function b64urlDecode(str) {
+  const padded = str.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((str.length + 3) % 4);
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
 
-        <div style="margin-top:12px;">
-          <span class="pill">
-            <span class="time I" id="timeCode">I</span>
-            <span id="timeLabel">Invest</span>
-            <span class="muted">(4-5 = High)</span>
-          </span>
-        </div>
+function safeEqual(a, b) {
+  a = String(a);
+  b = String(b);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
 
-        <div class="actions">
-          <button class="primary" id="saveBtn">Save</button>
-          <button id="resetBtn">Reset</button>
-        </div>
+async function hmacKey(env) {
+  requireEnv(env, ["AUTH_SECRET"]);
+  return crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(String(env.AUTH_SECRET)),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
 
-        <div class="error" id="err"></div>
-      </div>
+async function signToken(env, payload) {
+  const data = b64urlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+  const sig = await crypto.subtle.sign("HMAC", await hmacKey(env), new TextEncoder().encode(data));
+  return `${data}.${b64urlEncode(sig)}`;
+}
 
-      <div class="card">
+async function verifyToken(env, token) {
+  if (!env.AUTH_SECRET) return null;
+
+  const [data, sig] = String(token).split(".");
+  if (!data || !sig) return null;
+
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify(
+      "HMAC",
+      await hmacKey(env),
+      b64urlDecode(sig),
+      new TextEncoder().encode(data)
+    );
+  } catch {
+    return null;
+  }
+  if (!valid) return null;
+
+  let payload = null;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(b64urlDecode(data)));
+  } catch {
+    return null;
+  }
+  if (!payload || !ROLES.includes(payload.role)) return null;
+  if (payload.exp && payload.exp * 1000 < Date.now()) return null;
+
+  return { user: String(payload.sub || "token"), role: payload.role, team: payload.team || null, via: "token" };
+}
+
+function findApiKey(env, credential) {
+  if (!env.API_KEYS) return null;
+
+  let keys = {};
+  try {
+    keys = JSON.parse(String(env.API_KEYS));
+  } catch {
+    throw new Error("API_KEYS must be a JSON object");
+  }
+
+  // Compare against every key so timing doesn't reveal which one is close.
+  let found = null;
+  for (const [key, entry] of Object.entries(keys)) {
+    if (safeEqual(key, credential) && entry && ROLES.includes(entry.role)) found = entry;
+  }
+  if (!found) return null;
+
+  return { user: String(found.user || "api-key"), role: found.role, team: found.team || null, via: "apikey" };
+}
+
+async function authenticate(req, env, url) {
+  const header = req.headers.get("authorization") || "";
+  let credential = /^bearer\s+/i.test(header) ? header.replace(/^bearer\s+/i, "").trim() : "";
+  if (!credential) credential = (req.headers.get("x-api-key") || "").trim();
+  if (!credential && req.method === "GET") credential = (url.searchParams.get("token") || "").trim();
+  if (!credential) return null;
+
+  return findApiKey(env, credential) || (await verifyToken(env, credential));
+}
+
+// POST /api/auth/token — admins mint signed tokens (e.g. for the Dynamics iFrame link)
+async function handleAuthToken(req, env, auth) {
+  if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "admin");
+  if (denied) return denied;
+
+  const body = await req.json().catch(() => null);
+  if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+  const role = String(body.role || "viewer");
+  if (!ROLES.includes(role)) return json({ ok: false, error: `role must be one of ${ROLES.join(", ")}` }, 400);
+
+  const ttlDays = Number(body.ttlDays || 365);
+  if (!(ttlDays > 0 && ttlDays <= 3650)) return json({ ok: false, error: "ttlDays must be 1-3650" }, 400);
+
+  const exp = Math.floor(Date.now() / 1000) + Math.round(ttlDays * 86400);
+  const payload = {
+    sub: String(body.sub || "dynamics").trim(),
+    role,
+    team: body.team ? String(body.team).trim() : null,
+    exp,
+  };
+
+  const token = await signToken(env, payload);
+  return json({ ok: true, token, expiresAt: new Date(exp * 1000).toISOString() });
+}
+
+/* ----------------------------- HISTORY ----------------------------- */
+// Every create/update/delete of an item is appended to a separate collection
+// with who, when and a field-level before/after diff.
+const AUDITED_FIELDS = [
+  "customerName",
+  "customerId",
+  "category",
+  "subcategory",
+  "solution",
+  "solutionId",
+  "vendor",
+  "vendorId",
+  "notes",
+  "technicalFit",
+  "functionalFit",
+  "scores",
+  "timeCode",
+  "timeLabel",
+  "dateImplemented",
+  "contractExpiration",
+  "target",
+  "monthlyCost",
+  "oneTimeCost",
+  "seats",
+  "currency",
+  "team",
+  "deletedAt",
+  "deletedBy",
+];
+
+function historyCollection(env) {
+  return String(env.RESTDB_HISTORY_COLLECTION || `${itemsCollection(env)}-history`);
+}
+
+function diffFields(before, after) {
+  const changes = [];
+  for (const field of AUDITED_FIELDS) {
+    const a = before ? before[field] : undefined;
+    const b = after ? after[field] : undefined;
+    if (a === undefined && b === undefined) continue;
+    if (JSON.stringify(a ?? null) === JSON.stringify(b ?? null)) continue;
+    changes.push({ field, before: a ?? null, after: b ?? null });
+  }
+  return changes;
+}
+
+async function recordHistory(env, auth, action, itemId, before, after) {
+  const entry = {
+    itemId: String(itemId),
+    action,
+    user: auth.user,
+    at: new Date().toISOString(),
+    customerName: (after || before || {}).customerName || null,
+    changes: diffFields(before, after),
+  };
+
+  // Best effort: a failed audit write is logged but doesn't undo the item change.
+  try {
+    await getStore(env).create(historyCollection(env), entry);
+  } catch (e) {
+    console.error("history write failed", e.status || "", e.detail || e);
+  }
+}
+
+async function handleItemHistory(req, env, id) {
+  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+
+  const history = await getStore(env).list(historyCollection(env), {
+    q: { itemId: String(id) },
+    sort: { at: -1 },
+  });
+  return json({ ok: true, history });
+}
+
+/* ----------------------------- SOFT DELETE ----------------------------- */
+// DELETE only stamps deletedAt/deletedBy; items stay restorable until an admin
+// purges them once they're older than DELETE_RETENTION_DAYS (default 30).
+// Editors can only edit, delete or restore their own team's (or their own) items.
+function canChangeItem(auth, item) {
+  if (hasRole(auth, "admin")) return true;
+  const sameTeam = !!auth.team && item && item.team === auth.team;
+  const ownItem = item && item.createdBy === auth.user;
+  return sameTeam || ownItem;
+}
+
+function retentionCutoff(env) {
+  const days = Number(env.DELETE_RETENTION_DAYS || 30);
+  return new Date(Date.now() - days * 86400000).toISOString();
+}
+
+// POST /api/items/purge — hard-delete soft-deleted items past the retention window
+async function purgeDeletedItems(env, auth) {
+  const store = getStore(env);
+  const col = itemsCollection(env);
+
+  const expired = await store.list(col, { q: { deletedAt: { $ne: null, $lt: retentionCutoff(env) } } });
+  const purged = [];
+  for (const it of expired) {
+    try {
+      await store.remove(col, it._id);
+    } catch (e) {
+      console.error("purge failed", it._id, e.detail || e);
+      continue;
+    }
+    purged.push(it._id);
+    await recordHistory(env, auth, "purge", it._id, it, null);
+  }
+
+  return json({ ok: true, purged: purged.length, failed: expired.length - purged.length });
+}
+
+/* ----------------------------- CUSTOMERS ----------------------------- */
+// Customers live in their own collection with a stable _id, the Dynamics
+// account GUID and aliases (old names, common misspellings). Items point at
+// them by customerId and keep customerName as a display copy. Each record
+// also carries the live item count, kept in step with item writes so
+// /api/customers never scans the items collection; POST /api/customers/reindex
+// rebuilds the counts (and backfills customerId on older items) if they drift.
+function customersCollection(env) {
+  return String(env.RESTDB_CUSTOMERS_COLLECTION || `${itemsCollection(env)}-customers`);
+}
+
+function customerKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+// Dynamics GUIDs arrive as "{ABC...}" from the iFrame or plain from scripts.
+function normalizeGuid(v) {
+  const s = String(v || "").trim().replace(/^\{|\}$/g, "").toLowerCase();
+  if (!s) return "";
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(s) ? s : null;
+}
+
+function cleanAliases(list, customerName) {
+  const seen = new Set([customerKey(customerName)]);
+  const out = [];
+  for (const a of Array.isArray(list) ? list : String(list || "").split(",")) {
+    const alias = String(a || "").trim();
+    const key = customerKey(alias);
+    if (!alias || seen.has(key)) continue;
+    seen.add(key);
+    out.push(alias);
+  }
+  return out;
+}
+
+// An alias may not be another customer's name or alias; returns the clashing customer.
+async function findAliasClash(env, aliases, exceptId = null) {
+  for (const alias of aliases) {
+    const clash = await findCustomerByName(env, alias, exceptId);
+    if (clash) return clash;
+  }
+  return null;
+}
+
+function publicCustomer(c) {
+  return {
+    _id: c._id,
+    customerName: c.customerName,
+    dynamicsAccountId: c.dynamicsAccountId || null,
+    aliases: c.aliases || [],
+    count: Number(c.count || 0),
+  };
+}
+
+async function getCustomer(env, id) {
+  const store = getStore(env);
+  let c = await store.get(customersCollection(env), id);
+  // Follow merges so old links and customerIds keep working.
+  for (let hops = 0; c && c.mergedInto && hops < 5; hops++) {
+    c = await store.get(customersCollection(env), c.mergedInto);
+  }
+  return c;
+}
+
+async function findCustomerByName(env, name, exceptId = null) {
+  const key = customerKey(name);
+  if (!key) return null;
+  const matches = await getStore(env).list(customersCollection(env), {
+    q: { mergedInto: null, $or: [{ nameKey: key }, { aliasKeys: key }] },
+    max: 2,
+  });
+  return matches.find((c) => c._id !== exceptId) || null;
+}
+
+// Report and snapshot URLs name the customer by id or by name.
+async function customerFromPath(env, key) {
+  const byId = /^[0-9a-f]{24,32}$/i.test(key) ? await getCustomer(env, key) : null;
+  return byId || (await findCustomerByName(env, key));
+}
+
+async function findCustomerByAccount(env, accountId, exceptId = null) {
+  if (!accountId) return null;
+  const matches = await getStore(env).list(customersCollection(env), {
+    q: { mergedInto: null, dynamicsAccountId: accountId },
+    max: 2,
+  });
+  return matches.find((c) => c._id !== exceptId) || null;
+}
+
+async function createCustomer(env, auth, { customerName, dynamicsAccountId = null, aliases = [] }) {
+  const now = new Date().toISOString();
+  const clean = cleanAliases(aliases, customerName);
+  return getStore(env).create(customersCollection(env), {
+    customerName,
+    nameKey: customerKey(customerName),
+    aliases: clean,
+    aliasKeys: clean.map(customerKey),
+    dynamicsAccountId: dynamicsAccountId || null,
+    mergedInto: null,
+    count: 0,
+    createdBy: auth ? auth.user : null,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+// Item writes: an explicit customerId wins; otherwise match the name or an
+// alias, creating the customer on first use.
+async function resolveItemCustomer(env, auth, customerId, customerName) {
+  if (customerId) {
+    const c = await getCustomer(env, customerId);
+    return c ? { customer: c } : { error: "Unknown customerId" };
+  }
+  if (!customerName) return { error: "customerName is required" };
+
+  const found = await findCustomerByName(env, customerName);
+  if (found) return { customer: found };
+  return { customer: await createCustomer(env, auth, { customerName }) };
+}
+
+async function adjustCustomerCount(env, customerId, delta) {
+  if (!customerId || !delta) return;
+
+  // A failed count write only skews the browse list until reindexCustomers recounts it.
+  try {
+    const store = getStore(env);
+    const existing = await store.get(customersCollection(env), customerId);
+    if (!existing) return;
+    await store.update(customersCollection(env), customerId, {
+      count: Math.max(0, Number(existing.count || 0) + delta),
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (e) {
+    console.error("customer count update failed", customerId, e.detail || e);
+  }
+}
+
+// A customer's items: linked by id, or older ones that only carry its name or an alias.
+function customerItemsClause(customer) {
+  const names = [customer.customerName, ...(customer.aliases || [])];
+  return { $or: [{ customerId: customer._id }, { customerId: null, customerName: { $in: names } }] };
+}
+
+// Re-point every item of one customer at another (rename or merge), with history.
+async function repointItems(env, auth, from, target, action) {
+  const store = getStore(env);
+  const col = itemsCollection(env);
+  const items = await store.list(col, { q: customerItemsClause(from) });
+  const now = new Date().toISOString();
+
+  for (const it of items) {
+    const patch = { customerId: target._id, customerName: target.customerName, updatedBy: auth.user, updatedAt: now };
+    await store.update(col, it._id, patch);
+    await recordHistory(env, auth, action, it._id, it, { ...it, ...patch });
+  }
+  return items.length;
+}
+
+async function reindexCustomers(env, auth = null) {
+  const store = getStore(env);
+  const col = customersCollection(env);
+  const itemsCol = itemsCollection(env);
+
+  // Older items only have a customerName: attach them to a customer record.
+  const orphans = await store.list(itemsCol, { q: { customerId: null } });
+  for (const it of orphans) {
+    const name = String(it.customerName || "").trim();
+    if (!name) continue;
+    const customer = (await findCustomerByName(env, name)) || (await createCustomer(env, auth, { customerName: name }));
+    await store.update(itemsCol, it._id, { customerId: customer._id, customerName: customer.customerName });
+  }
+
+  // Customer names are unique (renames re-point items), so counting by name is enough.
+  const counts = new Map();
+  for (const { customerName, count } of await store.distinctCustomers(itemsCol, { deletedAt: null })) {
+    const key = customerKey(customerName);
+    counts.set(key, (counts.get(key) || 0) + count);
+  }
+
+  const customers = await store.list(col, { q: { mergedInto: null } });
+  const now = new Date().toISOString();
+  for (const c of customers) {
+    const count = counts.get(c.nameKey || customerKey(c.customerName)) || 0;
+    if (Number(c.count) !== count) await store.update(col, c._id, { count, updatedAt: now });
+  }
+
+  return customers.length;
+}
+
+/* ----------------------------- CATEGORIES ----------------------------- */
+// The category taxonomy is its own collection, seeded from SEED_CATEGORIES the
+// first time it is read. Items keep the category name, so renames and merges
+// re-point them. A retired category stays valid on the items that already use
+// it but can't be chosen for anything else.
+function categoriesCollection(env) {
+  return String(env.RESTDB_CATEGORIES_COLLECTION || `${itemsCollection(env)}-categories`);
+}
+
+function categoryKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+function publicCategory(c) {
+  return {
+    _id: c._id,
+    name: c.name,
+    order: c.order,
+    subcategories: c.subcategories || [],
+    retired: !!c.retiredAt,
+    retiredAt: c.retiredAt || null,
+  };
+}
+
+// Every category that hasn't been merged away, in display order.
+async function listCategories(env) {
+  const store = getStore(env);
+  const col = categoriesCollection(env);
+  const list = () => store.list(col, { q: { mergedInto: null }, sort: { order: 1, nameKey: 1 } });
+
+  let rows = await list();
+  if (!rows.length && !(await store.list(col, { max: 1 })).length) {
+    const now = new Date().toISOString();
+    for (let i = 0; i < SEED_CATEGORIES.length; i++) {
+      await store.create(col, {
+        name: SEED_CATEGORIES[i],
+        nameKey: categoryKey(SEED_CATEGORIES[i]),
+        order: (i + 1) * 10,
+        subcategories: [],
+        retiredAt: null,
+        mergedInto: null,
+        createdBy: null,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+    rows = await list();
+  }
+  return rows;
+}
+
+// Item writes: match the category and subcategory case-insensitively and use
+// the canonical spelling. `current` is the item being edited, whose existing
+// category/subcategory stay allowed even if retired or removed since.
+async function resolveItemCategory(env, category, subcategory, current = null, categories = null) {
+  const rows = categories || (await listCategories(env));
+  const found = rows.find((c) => c.nameKey === categoryKey(category));
+  if (!found) return { field: "category", error: `Unknown category "${category}"` };
+
+  const unchanged = current && current.category === found.name;
+  if (found.retiredAt && !unchanged) return { field: "category", error: `Category "${found.name}" is retired` };
+  if (!subcategory) return { category: found.name, subcategory: null };
+
+  const sub = (found.subcategories || []).find((s) => categoryKey(s) === categoryKey(subcategory));
+  if (sub) return { category: found.name, subcategory: sub };
+  if (unchanged && current.subcategory === subcategory) return { category: found.name, subcategory };
+  return { field: "subcategory", error: `Unknown subcategory "${subcategory}" for ${found.name}` };
+}
+
+// Moves every item (deleted ones too, so a restore lands in the right place)
+// from one category name to another.
+async function repointCategoryItems(env, auth, fromName, toName, action) {
+  const store = getStore(env);
+  const col = itemsCollection(env);
+  const items = await store.list(col, { q: { category: fromName } });
+  const now = new Date().toISOString();
+
+  for (const it of items) {
+    const patch = { category: toName, updatedBy: auth.user, updatedAt: now };
+    await store.update(col, it._id, patch);
+    await recordHistory(env, auth, action, it._id, it, { ...it, ...patch });
+  }
+  return items.length;
+}
+
+/* ----------------------------- CATALOG ----------------------------- */
+// Vendors and products share one collection, told apart by `kind`. Items keep
+// the text they were saved with plus vendorId/solutionId when that text is an
+// entry's name or alias. Names match ignoring case, spaces and punctuation, so
+// "ZoomPhone" and "Zoom Phone" are the same product.
+const CATALOG_KINDS = ["vendor", "product"];
+
+// The item fields each kind of entry fills in.
+const CATALOG_ITEM_FIELDS = {
+  vendor: { field: "vendor", idField: "vendorId" },
+  product: { field: "solution", idField: "solutionId" },
+};
+
+function catalogCollection(env) {
+  return String(env.RESTDB_CATALOG_COLLECTION || `${itemsCollection(env)}-catalog`);
+}
+
+function catalogKey(name) {
+  return String(name || "").toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// The keys an entry answers to: its name and every alias.
+function catalogKeys(entry) {
+  return [entry.nameKey, ...(entry.aliases || []).map(catalogKey)];
+}
+
+function cleanCatalogNames(list, name) {
+  const seen = new Set([catalogKey(name)]);
+  const out = [];
+  for (const a of Array.isArray(list) ? list : String(list || "").split(",")) {
+    const value = String(a || "").trim();
+    const key = catalogKey(value);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(value);
+  }
+  return out;
+}
+
+function publicCatalogEntry(entry, entries = []) {
+  const vendor = entry.vendorId ? entries.find((e) => e._id === entry.vendorId) : null;
+  return {
+    _id: entry._id,
+    kind: entry.kind,
+    name: entry.name,
+    vendorId: entry.vendorId || null,
+    vendorName: vendor ? vendor.name : null,
+    categories: entry.categories || [],
+    aliases: entry.aliases || [],
+    eolDate: entry.eolDate || null,
+    eosDate: entry.eosDate || null,
+  };
+}
+
+// Every entry that hasn't been merged away, vendors first.
+async function listCatalog(env) {
+  return getStore(env).list(catalogCollection(env), { q: { mergedInto: null }, sort: { kind: -1, nameKey: 1 } });
+}
+
+function matchCatalog(entries, kind, text) {
+  const key = catalogKey(text);
+  if (!key) return [];
+  return entries.filter((e) => e.kind === kind && catalogKeys(e).includes(key));
+}
+
+// Item writes: link the vendor and solution to catalog entries, by ID when the
+// client sends one and otherwise by name, and use the catalog spelling. Text
+// that matches nothing is kept as typed. An entry that lists categories only
+// fits items in those, except an item already saved that way.
+async function resolveItemCatalog(env, input, current = null, catalog = null) {
+  const entries = catalog || (await listCatalog(env));
+  const errors = {};
+  const byId = (kind, id) => entries.find((e) => e._id === id && e.kind === kind) || null;
+
+  let vendor = null;
+  if (input.vendorId) {
+    vendor = byId("vendor", input.vendorId);
+    if (!vendor) addError(errors, "vendorId", `Unknown catalog vendor "${input.vendorId}"`);
+  } else {
+    vendor = matchCatalog(entries, "vendor", input.vendor)[0] || null;
+  }
+
+  let product = null;
+  if (input.solutionId) {
+    product = byId("product", input.solutionId);
+    if (!product) addError(errors, "solutionId", `Unknown catalog product "${input.solutionId}"`);
+  } else {
+    // The same product name can exist under two vendors; the vendor decides.
+    const matches = matchCatalog(entries, "product", input.solution);
+    product = (vendor && matches.find((p) => p.vendorId === vendor._id)) || (matches.length === 1 ? matches[0] : null);
+  }
+  if (hasErrors(errors)) return { errors };
+
+  const productVendor = product && product.vendorId ? byId("vendor", product.vendorId) : null;
+  if (productVendor && vendor && productVendor._id !== vendor._id) {
+    addError(errors, "vendor", `${product.name} is catalogued under ${productVendor.name}, not ${vendor.name}`);
+  }
+  if (productVendor && !vendor && !input.vendor) vendor = productVendor;
+
+  for (const entry of [product, vendor]) {
+    if (!entry || !(entry.categories || []).length) continue;
+    const { field, idField } = CATALOG_ITEM_FIELDS[entry.kind];
+    const unchanged = current && current.category === input.category && current[idField] === entry._id;
+    if (!unchanged && !entry.categories.some((c) => categoryKey(c) === categoryKey(input.category))) {
+      addError(errors, field, `${entry.name} is not catalogued under ${input.category}`);
+    }
+  }
+
+  return {
+    errors,
+    fields: {
+      solution: product ? product.name : input.solution,
+      solutionId: product ? product._id : null,
+      vendor: vendor ? vendor.name : input.vendor,
+      vendorId: vendor ? vendor._id : null,
+    },
+  };
+}
+
+// Rewrites every item (deleted ones too) that `matches` to point at the entry
+// under its current name. Items linked to a product but to no vendor pick up
+// the product's vendor when their vendor text is blank or one of its names.
+async function repointCatalogItems(env, auth, entry, matches, action, entries = []) {
+  const store = getStore(env);
+  const col = itemsCollection(env);
+  const { field, idField } = CATALOG_ITEM_FIELDS[entry.kind];
+  const vendor = entry.kind === "product" && entry.vendorId ? entries.find((e) => e._id === entry.vendorId) : null;
+  const items = (await store.list(col, {})).filter(matches);
+  const now = new Date().toISOString();
+
+  let moved = 0;
+  for (const it of items) {
+    const patch = {};
+    if (it[field] !== entry.name) patch[field] = entry.name;
+    if (it[idField] !== entry._id) patch[idField] = entry._id;
+    if (vendor && !it.vendorId && (!it.vendor || catalogKeys(vendor).includes(catalogKey(it.vendor)))) {
+      Object.assign(patch, { vendor: vendor.name, vendorId: vendor._id });
+    }
+    if (!Object.keys(patch).length) continue;
+
+    Object.assign(patch, { updatedBy: auth.user, updatedAt: now });
+    await store.update(col, it._id, patch);
+    await recordHistory(env, auth, action, it._id, it, { ...it, ...patch });
+    moved++;
+  }
+  return moved;
+}
+
+// Checks a catalog entry from POST or PUT. `existing` is the entry being edited;
+// omitted fields keep its values. `clash` is an entry that already answers to
+// the name or one of the aliases.
+async function validateCatalogEntry(env, body, entries, existing = null) {
+  const errors = {};
+  const pick = (field, fallback) => (body[field] !== undefined ? body[field] : existing ? existing[field] : fallback);
+
+  const kind = existing ? existing.kind : String(body.kind || "").trim();
+  if (!CATALOG_KINDS.includes(kind)) addError(errors, "kind", `kind must be one of ${CATALOG_KINDS.join(", ")}`);
+
+  const name = String(pick("name", "") || "").trim();
+  if (!catalogKey(name)) addError(errors, "name", "name is required");
+  else if (name.length > 200) addError(errors, "name", "name must be at most 200 characters");
+
+  const vendorId = kind === "product" ? String(pick("vendorId", "") || "").trim() || null : null;
+  if (vendorId && !entries.some((e) => e._id === vendorId && e.kind === "vendor")) {
+    addError(errors, "vendorId", `Unknown catalog vendor "${vendorId}"`);
+  }
+
+  const categories = [];
+  const known = await listCategories(env);
+  for (const c of cleanCatalogNames(pick("categories", []), "")) {
+    const found = known.find((k) => k.nameKey === categoryKey(c));
+    if (found) categories.push(found.name);
+    else addError(errors, "categories", `Unknown category "${c}"`);
+  }
+
+  const dates = {};
+  for (const field of ["eolDate", "eosDate"]) {
+    dates[field] = String(pick(field, "") || "").trim() || null;
+    if (dates[field] && !isIsoDate(dates[field])) addError(errors, field, `${field} must be a date (YYYY-MM-DD)`);
+  }
+  if (dates.eolDate && dates.eosDate && !errors.eolDate && !errors.eosDate && dates.eosDate < dates.eolDate) {
+    addError(errors, "eosDate", "eosDate must not be before eolDate");
+  }
+
+  const aliases = cleanCatalogNames(pick("aliases", []), name);
+
+  // Names and aliases are unique per kind (for products, per vendor) so that
+  // item text can only ever link to one entry.
+  let clash = null;
+  if (!errors.name && !errors.kind) {
+    const mine = [catalogKey(name), ...aliases.map(catalogKey)];
+    clash = entries.find(
+      (e) =>
+        e.kind === kind &&
+        (!existing || e._id !== existing._id) &&
+        (kind !== "product" || (e.vendorId || null) === vendorId) &&
+        catalogKeys(e).some((k) => mine.includes(k))
+    ) || null;
+  }
+
+  return { input: { kind, name, vendorId, categories, aliases, ...dates }, errors, clash };
+}
+
+/* ----------------------------- SCORING ----------------------------- */
+// The scoring model is a settings record edited by admins. Each fit is either
+// entered directly (1-5) or, when the model lists criteria for it, the weighted
+// average of 1-5 sub-scores; a fit at or above its cutoff counts as "high".
+// TIME is only ever computed here — the page asks /api/scoring-model/evaluate.
+const FITS = ["technical", "functional"];
+
+const DEFAULT_SCORING_MODEL = {
+  cutoffs: { technical: 4, functional: 4 },
+  criteria: { technical: [], functional: [] },
+};
+
+function settingsCollection(env) {
+  return String(env.RESTDB_SETTINGS_COLLECTION || `${itemsCollection(env)}-settings`);
+}
+
+function computeTIME(technicalFit, functionalFit, model = DEFAULT_SCORING_MODEL) {
+  const techHigh = Number(technicalFit) >= model.cutoffs.technical;
+  const funcHigh = Number(functionalFit) >= model.cutoffs.functional;
+
+  if (techHigh && funcHigh) return { code: "I", label: "Invest" };
+  if (!techHigh && funcHigh) return { code: "M", label: "Migrate" };
+  if (techHigh && !funcHigh) return { code: "T", label: "Tolerate" };
+  return { code: "E", label: "Eliminate" };
+}
+
+function readScoringModel(body) {
+  const src = body && typeof body === "object" ? body : {};
+  const errors = {};
+  const model = { cutoffs: {}, criteria: {} };
+
+  for (const fit of FITS) {
+    const given = src.cutoffs && src.cutoffs[fit] != null ? src.cutoffs[fit] : DEFAULT_SCORING_MODEL.cutoffs[fit];
+    const cutoff = Number(given);
+    if (!(cutoff > 1 && cutoff <= 5)) addError(errors, `cutoffs.${fit}`, `cutoffs.${fit} must be above 1 and at most 5`);
+    model.cutoffs[fit] = cutoff;
+
+    const list = src.criteria && src.criteria[fit] != null ? src.criteria[fit] : [];
+    if (!Array.isArray(list)) {
+      addError(errors, `criteria.${fit}`, `criteria.${fit} must be an array`);
+      model.criteria[fit] = [];
+      continue;
+    }
+
+    const seen = new Set();
+    model.criteria[fit] = list.map((c, i) => {
+      const key = String((c && c.key) || "").trim();
+      const label = String((c && c.label) || key).trim();
+      const weight = c && c.weight != null ? Number(c.weight) : 1;
+      const at = `criteria.${fit}[${i}]`;
+      if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(key)) addError(errors, `${at}.key`, `${at}.key must be letters, digits or _`);
+      else if (seen.has(key)) addError(errors, `${at}.key`, `${at}.key "${key}" is used twice`);
+      if (!(weight > 0)) addError(errors, `${at}.weight`, `${at}.weight must be greater than 0`);
+      seen.add(key);
+      return { key, label, weight };
+    });
+  }
+
+  return { model, errors };
+}
+
+// A settings collection that can't be read falls back to the default model so
+// items stay usable; saving the model surfaces the storage error instead.
+async function getScoringModel(env) {
+  try {
+    const [doc] = await getStore(env).list(settingsCollection(env), { q: { key: "scoringModel" }, max: 1 });
+    if (!doc || !doc.model) return DEFAULT_SCORING_MODEL;
+    const { model, errors } = readScoringModel(doc.model);
+    return hasErrors(errors) ? DEFAULT_SCORING_MODEL : model;
+  } catch (e) {
+    console.error("scoring model read failed", e && e.detail ? e.detail : e);
+    return DEFAULT_SCORING_MODEL;
+  }
+}
+
+// One fit from an item body or stored item: the weighted sub-scores when the
+// model has criteria for it and the source carries them, else the direct fit.
+function scoreFit(source, fit, model) {
+  const criteria = model.criteria[fit];
+  const given = source.scores && source.scores[fit];
+  if (!criteria.length || !given || typeof given !== "object") {
+    const field = `${fit}Fit`;
+    const value = Number(source[field]);
+    return { value, scores: null, errors: value >= 1 && value <= 5 ? [] : [{ field, message: `${field} must be 1-5` }] };
+  }
+
+  const errors = [];
+  const scores = {};
+  let total = 0;
+  let weights = 0;
+  for (const c of criteria) {
+    const v = Number(given[c.key]);
+    if (!(Number.isInteger(v) && v >= 1 && v <= 5)) {
+      errors.push({ field: `scores.${fit}.${c.key}`, message: `${c.label} (${fit} fit) must be 1-5` });
+      continue;
+    }
+    scores[c.key] = v;
+    total += v * c.weight;
+    weights += c.weight;
+  }
+
+  const value = errors.length ? NaN : Math.round((total / weights) * 10) / 10;
+  return { value, scores, errors };
+}
+
+function scoreItem(source, model) {
+  const tech = scoreFit(source, "technical", model);
+  const func = scoreFit(source, "functional", model);
+  const errors = {};
+  for (const e of [...tech.errors, ...func.errors]) addError(errors, e.field, e.message);
+
+  const scores = {};
+  if (tech.scores) scores.technical = tech.scores;
+  if (func.scores) scores.functional = func.scores;
+
+  const time = hasErrors(errors) ? null : computeTIME(tech.value, func.value, model);
+  return {
+    technicalFit: tech.value,
+    functionalFit: func.value,
+    scores: Object.keys(scores).length ? scores : null,
+    timeCode: time ? time.code : null,
+    timeLabel: time ? time.label : null,
+    errors,
+  };
+}
+
+// Stored items are re-scored on the way out so a model change applies
+// everywhere at once. A fit whose sub-scores no longer match the model's
+// criteria keeps its stored value.
+function withTIME(item, model) {
+  const fits = {};
+  for (const fit of FITS) {
+    const scored = scoreFit(item, fit, model);
+    fits[fit] = scored.errors.length ? Number(item[`${fit}Fit`]) : scored.value;
+  }
+  const time = computeTIME(fits.technical, fits.functional, model);
+  return { ...item, technicalFit: fits.technical, functionalFit: fits.functional, timeCode: time.code, timeLabel: time.label };
+}
+
+// After a model change, store every item's fits and TIME code as withTIME now
+// computes them, so queries and sorts on the stored fields agree with what is
+// shown. Deleted items are included so they come back current when restored.
+// Like the CRM opportunity id, this leaves updatedAt alone: it isn't an edit,
+// and open forms shouldn't hit a conflict over it.
+async function rescoreItems(env, auth, model) {
+  const store = getStore(env);
+  const col = itemsCollection(env);
+  let rescored = 0;
+
+  for (const it of await store.list(col, {})) {
+    const scored = withTIME(it, model);
+    const patch = {};
+    for (const f of ["technicalFit", "functionalFit", "timeCode", "timeLabel"]) {
+      if (scored[f] !== it[f]) patch[f] = scored[f];
+    }
+    if (!Object.keys(patch).length) continue;
+
+    await store.update(col, it._id, patch);
+    await recordHistory(env, auth, "rescore", it._id, it, { ...it, ...patch });
+    rescored++;
+  }
+  return rescored;
+}
+
+// GET /api/scoring-model, PUT /api/scoring-model (admin),
+// POST /api/scoring-model/evaluate — fits and TIME for an unsaved item
+async function handleScoringModel(req, env, url, auth) {
+  const sub = url.pathname.split("/").filter(Boolean)[2] || "";
+
+  if (sub === "evaluate") {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const { errors, ...result } = scoreItem(body, await getScoringModel(env));
+    if (hasErrors(errors)) return errorResponse(errors);
+    return json({ ok: true, ...result });
+  }
+  if (sub) return json({ ok: false, error: "Not found" }, 404);
+
+  if (req.method === "GET") {
+    return json({ ok: true, model: await getScoringModel(env) });
+  }
+
+  if (req.method === "PUT") {
+    const denied = requireRole(auth, "admin");
+    if (denied) return denied;
+
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const { model, errors } = readScoringModel(body.model || body);
+    if (hasErrors(errors)) return errorResponse(errors);
+
+    const store = getStore(env);
+    const col = settingsCollection(env);
+    const [existing] = await store.list(col, { q: { key: "scoringModel" }, max: 1 });
+    const doc = { key: "scoringModel", model, updatedBy: auth.user, updatedAt: new Date().toISOString() };
+    if (existing) await store.update(col, existing._id, doc);
+    else await store.create(col, doc);
+
+    const rescored = await rescoreItems(env, auth, model);
+    return json({ ok: true, model, rescored });
+  }
+
+  return json({ ok: false, error: "Method not allowed" }, 405);
+}
+
+/* ----------------------------- RISK FLAGS ----------------------------- */
+// Flags worked out on every read, separately from the fit scores, so an old
+// platform stands out even when it was scored 5/5: the catalogued product is
+// past or near end of support, the contract runs out soon, or the solution has
+// been in place for years. The windows are Worker vars.
+const RISK_CODES = ["eos", "contract", "aging"];
+
+// The stored fields riskFlags reads.
+const ITEM_RISK_FIELDS = ["solutionId", "contractExpiration", "dateImplemented"];
+
+function shiftDate(isoDate, months) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString().slice(0, 10);
+}
+
+// Today's cutoffs plus the end-of-support dates from the catalog, loaded once per request.
+async function riskContext(env) {
+  const today = new Date().toISOString().slice(0, 10);
+  const ageYears = Number(env.RISK_AGE_YEARS || 7);
+
+  const endOfSupport = new Map();
+  for (const e of await listCatalog(env)) {
+    if (e.kind === "product" && e.eosDate) endOfSupport.set(e._id, e.eosDate);
+  }
+
+  return {
+    today,
+    ageYears,
+    eosBy: shiftDate(today, Number(env.RISK_EOS_MONTHS || 12)),
+    contractBy: shiftDate(today, Number(env.RISK_CONTRACT_MONTHS || 3)),
+    agedBefore: shiftDate(today, -12 * ageYears),
+    endOfSupport,
+  };
+}
+
+function riskFlags(item, ctx) {
+  const flags = [];
+
+  const eos = item.solutionId ? ctx.endOfSupport.get(item.solutionId) : null;
+  if (eos && eos < ctx.today) flags.push({ code: "eos", severity: "high", label: "Past end of support", date: eos });
+  else if (eos && eos <= ctx.eosBy) flags.push({ code: "eos", severity: "warn", label: "Nearing end of support", date: eos });
+
+  const expires = item.contractExpiration;
+  if (expires && expires < ctx.today) flags.push({ code: "contract", severity: "high", label: "Contract expired", date: expires });
+  else if (expires && expires <= ctx.contractBy) flags.push({ code: "contract", severity: "warn", label: "Contract expiring", date: expires });
+
+  if (item.dateImplemented && item.dateImplemented <= ctx.agedBefore) {
+    flags.push({ code: "aging", severity: "warn", label: `In place over ${ctx.ageYears} years`, date: item.dateImplemented });
+  }
+  return flags;
+}
+
+function withRisks(item, ctx) {
+  return { ...item, risks: riskFlags(item, ctx) };
+}
+
+// For browse mode: per customer, how many live items carry each flag and how many carry any.
+async function customerRiskCounts(env, customerIds) {
+  const empty = () => Object.fromEntries([["flagged", 0], ...RISK_CODES.map((code) => [code, 0])]);
+  const counts = new Map(customerIds.map((id) => [id, empty()]));
+  if (!customerIds.length) return counts;
+
+  const ctx = await riskContext(env);
+  const fields = { customerId: 1 };
+  for (const f of ITEM_RISK_FIELDS) fields[f] = 1;
+  const items = await getStore(env).list(itemsCollection(env), { q: { customerId: { $in: customerIds }, deletedAt: null }, fields });
+
+  for (const it of items) {
+    const c = counts.get(it.customerId);
+    const flags = c ? riskFlags(it, ctx) : [];
+    if (!flags.length) continue;
+    c.flagged++;
+    for (const f of flags) c[f.code]++;
+  }
+  return counts;
+}
+
+/* ----------------------------- SPEND ----------------------------- */
+// Optional cost fields on items: monthly recurring cost, one-time cost,
+// seats/lines and the billing currency. Nothing converts between currencies,
+// so totals are kept per currency. When a target state has an estimated annual
+// cost for the replacement, the estimated savings are a year of the current
+// recurring cost minus that. The target's estimatedCost (the cost of making the
+// change) doesn't enter into it.
+const SPEND_FIELDS = ["category", "monthlyCost", "oneTimeCost", "seats", "currency", "target"];
+const ITEM_SAVINGS_FIELDS = ["monthlyCost", "target"];
+
+function defaultCurrency(env) {
+  return String(env.DEFAULT_CURRENCY || "USD").toUpperCase();
+}
+
+function estimatedSavings(item) {
+  const t = item.target;
+  if (!t || t.estimatedAnnualCost == null || item.monthlyCost == null) return null;
+  return roundMoney(item.monthlyCost * 12 - t.estimatedAnnualCost);
+}
+
+function withSavings(item) {
+  return { ...item, estimatedSavings: estimatedSavings(item) };
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Adds an amount into a { [currency]: total } map, kept to cents.
+function addByCurrency(totals, currency, amount) {
+  if (amount == null || !Number.isFinite(Number(amount))) return totals;
+  totals[currency] = roundMoney((totals[currency] || 0) + Number(amount));
+  return totals;
+}
+
+// { USD: { items, monthly, annual, oneTime, seats, savings, plannedItems, categories: { [name]: {...} } } }
+function spendTotals(env, items) {
+  const blank = () => ({ items: 0, monthly: 0, annual: 0, oneTime: 0, seats: 0, savings: 0, plannedItems: 0 });
+  const currencies = {};
+
+  for (const it of items) {
+    const savings = estimatedSavings(it);
+    if (it.monthlyCost == null && it.oneTimeCost == null && it.seats == null && savings == null) continue;
+
+    const code = it.currency || defaultCurrency(env);
+    const cur = (currencies[code] = currencies[code] || { ...blank(), categories: {} });
+    const cat = (cur.categories[it.category] = cur.categories[it.category] || blank());
+    for (const t of [cur, cat]) {
+      t.items++;
+      t.monthly += Number(it.monthlyCost) || 0;
+      t.oneTime += Number(it.oneTimeCost) || 0;
+      t.seats += Number(it.seats) || 0;
+      if (savings != null) {
+        t.savings += savings;
+        t.plannedItems++;
+      }
+    }
+  }
+
+  for (const cur of Object.values(currencies)) {
+    for (const t of [cur, ...Object.values(cur.categories)]) {
+      for (const k of ["monthly", "oneTime", "savings"]) t[k] = roundMoney(t[k]);
+      t.annual = roundMoney(t.monthly * 12);
+    }
+  }
+  return currencies;
+}
+
+/* ----------------------------- ITEM WRITES ----------------------------- */
+// The fields a client sends for an item, shared by POST, PUT, PATCH and the CSV
+// import. Fits and sub-scores are checked by scoreItem, the category against
+// the taxonomy, the solution and vendor against the catalog, and the customer
+// by resolveItemCustomer once the rest is valid.
+const ITEM_SCHEMA = {
+  customerName: { max: 200 },
+  customerId: { max: 64 },
+  category: { required: true, max: 120 },
+  subcategory: { max: 120 },
+  solution: { required: true, max: 200 },
+  solutionId: { max: 64 },
+  vendor: { max: 120 },
+  vendorId: { max: 64 },
+  notes: { max: 5000 },
+  dateImplemented: { date: true },
+  contractExpiration: { date: true },
+  monthlyCost: { number: true },
+  oneTimeCost: { number: true },
+  seats: { number: true, integer: true },
+  currency: { currency: true },
+};
+
+// An item's target state: the solution it should move to. Only the proposed
+// solution is required; null or an empty object clears the plan. The proposed
+// solution and vendor link to the catalog the same way the current ones do.
+const TARGET_STATUSES = ["proposed", "approved", "in-progress", "done"];
+
+const TARGET_SCHEMA = {
+  solution: { max: 200 },
+  vendor: { max: 120 },
+  targetDate: { date: true },
+  owner: { max: 120 },
+};
+
+async function validateTarget(env, raw, input, { current, catalog }, errors) {
+  if (raw == null || raw === "") return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    addError(errors, "target", "target must be an object");
+    return null;
+  }
+
+  const target = {};
+  for (const [field, rule] of Object.entries(TARGET_SCHEMA)) {
+    const value = raw[field] == null ? "" : String(raw[field]).trim();
+    target[field] = value || null;
+    if (!value) continue;
+    if (rule.max && value.length > rule.max) addError(errors, `target.${field}`, `target.${field} must be at most ${rule.max} characters`);
+    if (rule.date && !isIsoDate(value)) addError(errors, `target.${field}`, `target.${field} must be a date (YYYY-MM-DD)`);
+  }
+
+  // estimatedCost is the cost of making the change; estimatedAnnualCost is what
+  // the replacement will cost per year once in place (used for savings).
+  for (const field of ["estimatedCost", "estimatedAnnualCost"]) {
+    target[field] = null;
+    if (raw[field] == null || raw[field] === "") continue;
+    const cost = Number(raw[field]);
+    if (!Number.isFinite(cost) || cost < 0) addError(errors, `target.${field}`, `target.${field} must be a number, 0 or more`);
+    else target[field] = cost;
+  }
+
+  if (!Object.values(target).some((v) => v != null)) return null;
+
+  target.status = String(raw.status || "").trim() || "proposed";
+  if (!TARGET_STATUSES.includes(target.status)) {
+    addError(errors, "target.status", `target.status must be one of ${TARGET_STATUSES.join(", ")}`);
+  }
+  if (!target.solution) addError(errors, "target.solution", "target.solution is required");
+
+  target.solutionId = null;
+  target.vendorId = null;
+  if (target.solution && !errors.category && !errors["target.solution"] && !errors["target.vendor"]) {
+    const linked = await resolveItemCatalog(
+      env,
+      {
+        category: input.category,
+        solution: target.solution,
+        solutionId: String(raw.solutionId || "").trim(),
+        vendor: target.vendor || "",
+        vendorId: String(raw.vendorId || "").trim(),
+      },
+      current && current.target ? { category: current.category, ...current.target } : null,
+      catalog
+    );
+    for (const [field, messages] of Object.entries(linked.errors)) messages.forEach((m) => addError(errors, `target.${field}`, m));
+    if (linked.fields) Object.assign(target, linked.fields, { vendor: linked.fields.vendor || null });
+  }
+  return target;
+}
+
+// Returns { input, errors } with errors keyed by field.
+async function validateItem(env, body, { model, categories = null, catalog = null, current = null }) {
+  const { errors, ...fits } = scoreItem(body, model);
+
+  const input = {};
+  for (const [field, rule] of Object.entries(ITEM_SCHEMA)) {
+    const value = body[field] == null ? "" : String(body[field]).trim();
+    input[field] = rule.number && !value ? null : value;
+    if (!value) {
+      if (rule.required) addError(errors, field, `${field} is required`);
+      continue;
+    }
+    if (rule.max && value.length > rule.max) addError(errors, field, `${field} must be at most ${rule.max} characters`);
+    if (rule.date && !isIsoDate(value)) addError(errors, field, `${field} must be a date (YYYY-MM-DD)`);
+    if (rule.number) {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0 || (rule.integer && !Number.isInteger(n))) {
+        addError(errors, field, `${field} must be ${rule.integer ? "a whole number" : "a number"}, 0 or more`);
+      } else {
+        input[field] = n;
+      }
+    }
+    if (rule.currency) {
+      input[field] = value.toUpperCase();
+      if (!/^[A-Z]{3}$/.test(input[field])) addError(errors, field, `${field} must be a three-letter currency code (e.g. USD)`);
+    }
+  }
+
+  if (!input.customerName && !input.customerId) addError(errors, "customerName", "customerName is required");
+  if (
+    input.dateImplemented &&
+    input.contractExpiration &&
+    !errors.dateImplemented &&
+    !errors.contractExpiration &&
+    input.contractExpiration < input.dateImplemented
+  ) {
+    addError(errors, "contractExpiration", "contractExpiration must not be before dateImplemented");
+  }
+
+  if (input.category && !errors.category && !errors.subcategory) {
+    const cat = await resolveItemCategory(env, input.category, input.subcategory, current, categories);
+    if (cat.error) addError(errors, cat.field, cat.error);
+    else Object.assign(input, { category: cat.category, subcategory: cat.subcategory });
+  }
+
+  if (input.solution && !errors.category && !errors.solution && !errors.vendor) {
+    const linked = await resolveItemCatalog(env, input, current, catalog);
+    for (const [field, messages] of Object.entries(linked.errors)) messages.forEach((m) => addError(errors, field, m));
+    if (linked.fields) Object.assign(input, linked.fields);
+  }
+
+  input.target = await validateTarget(env, body.target, input, { current, catalog }, errors);
+
+  const t = input.target;
+  const costed =
+    input.monthlyCost != null || input.oneTimeCost != null || (t && (t.estimatedCost != null || t.estimatedAnnualCost != null));
+  if (!input.currency && costed) input.currency = defaultCurrency(env);
+
+  return { input: { ...input, ...fits }, errors };
+}
+
+// The stored copy of a validated item, for both create and update.
+function itemFields(input, customer) {
+  return {
+    customerName: customer.customerName,
+    customerId: customer._id,
+    category: input.category,
+    subcategory: input.subcategory || null,
+    solution: input.solution,
+    solutionId: input.solutionId || null,
+    vendor: input.vendor,
+    vendorId: input.vendorId || null,
+    notes: input.notes,
+    technicalFit: input.technicalFit,
+    functionalFit: input.functionalFit,
+    scores: input.scores,
+    timeCode: input.timeCode,
+    timeLabel: input.timeLabel,
+    dateImplemented: input.dateImplemented || null,
+    contractExpiration: input.contractExpiration || null,
+    target: input.target || null,
+    monthlyCost: input.monthlyCost ?? null,
+    oneTimeCost: input.oneTimeCost ?? null,
+    seats: input.seats ?? null,
+    currency: input.currency || null,
+  };
+}
+
+// PATCH sends only the fields that change: lay them over the stored item so
+// the result goes through validateItem like a full PUT. A new fit without its
+// sub-scores replaces them, a new customerName without a customerId moves
+// the item to that customer, and new solution or vendor text is linked afresh.
+// The target state is patched field by field the same way.
+function patchSource(current, body) {
+  const source = {};
+  for (const field of [...Object.keys(ITEM_SCHEMA), "technicalFit", "functionalFit"]) {
+    source[field] = field in body ? body[field] : current[field];
+  }
+
+  // The target state merges too, unless it is cleared with null.
+  source.target = "target" in body ? body.target : current.target;
+  if (body.target && typeof body.target === "object" && !Array.isArray(body.target) && current.target) {
+    source.target = { ...current.target, ...body.target };
+    if ("solution" in body.target && !("solutionId" in body.target)) source.target.solutionId = "";
+    if ("vendor" in body.target && !("vendorId" in body.target)) source.target.vendorId = "";
+  }
+
+  const scores = { ...(current.scores || {}), ...(body.scores || {}) };
+  for (const fit of ["technical", "functional"]) {
+    if (`${fit}Fit` in body && !(body.scores && body.scores[fit])) delete scores[fit];
+  }
+  source.scores = scores;
+
+  if ("customerName" in body && !("customerId" in body)) source.customerId = "";
+  if ("solution" in body && !("solutionId" in body)) source.solutionId = "";
+  if ("vendor" in body && !("vendorId" in body)) source.vendorId = "";
+  return source;
+}
+
+// Items are versioned by updatedAt; PUT and PATCH honor If-Match with it.
+function itemEtag(item) {
+  return `"${item.updatedAt || item.createdAt || ""}"`;
+}
+
+function etagMatches(header, item) {
+  if (!header) return true;
+  return header.split(",").some((tag) => {
+    const t = tag.trim().replace(/^W\//, "");
+    return t === "*" || t === itemEtag(item) || t === (item.updatedAt || item.createdAt);
+  });
+}
+
+async function createItem(env, auth, input, customer) {
+  const now = new Date().toISOString();
+
+  const doc = {
+    ...itemFields(input, customer),
+    deletedAt: null,
+    deletedBy: null,
+    team: auth.team || null,
+    createdBy: auth.user,
+    updatedBy: auth.user,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const item = await getStore(env).create(itemsCollection(env), doc);
+  await adjustCustomerCount(env, customer._id, 1);
+  await recordHistory(env, auth, "create", item && item._id, null, doc);
+  return item;
+}
+
+/* ----------------------------- ITEM QUERIES ----------------------------- */
+const TIME_CODES = ["I", "M", "T", "E"];
+
+// A TIME code as fit ranges under the current cutoffs, so the filter runs in
+// the store query. It matches the re-scored code because saving the scoring
+// model stores every item's fits again (rescoreItems).
+function timeCodeClause(code, model) {
+  const { technical, functional } = model.cutoffs;
+  return {
+    technicalFit: "IT".includes(code) ? { $gte: technical } : { $lt: technical },
+    functionalFit: "IM".includes(code) ? { $gte: functional } : { $lt: functional },
+  };
+}
+
+// The filters shared by GET /api/items, the export, renewals, stats and search:
+//   customerName | customerId, deleted=1
+//   category=...&category=...   vendor=...&vendor=...   (repeat for several)
+//   timeCode=M,E
+//   technicalFitMin / technicalFitMax / functionalFitMin / functionalFitMax (1-5)
+//   expiresFrom / expiresTo (YYYY-MM-DD) and/or expiresWithin=<days from today>
+// Ranges go under $and so callers can still set their own date conditions.
+// Returns { q, customer, errors } with errors keyed by parameter.
+async function itemQueryFromParams(env, params) {
+  const customerName = (params.get("customerName") || "").trim();
+  const customerId = (params.get("customerId") || "").trim();
+  const deleted = params.get("deleted") === "1";
+  const errors = {};
+  const and = [];
+  const many = (key) =>
+    params
+      .getAll(key)
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+  // Soft-deleted items are hidden unless the "Recently deleted" view asks for them.
+  const q = { deletedAt: deleted ? { $ne: null } : null };
+
+  // customerId is authoritative; a name (or alias) is resolved to its customer.
+  // Matching the name too keeps items that predate customer records visible.
+  const customer = customerId
+    ? await getCustomer(env, customerId)
+    : customerName
+      ? await findCustomerByName(env, customerName)
+      : null;
+  if (customer) Object.assign(q, customerItemsClause(customer));
+  else if (customerId) q.customerId = customerId;
+  else if (customerName) q.customerName = customerName;
+
+  const categories = many("category");
+  if (categories.length) q.category = categories.length === 1 ? categories[0] : { $in: categories };
+  const vendors = many("vendor");
+  if (vendors.length) q.vendor = vendors.length === 1 ? vendors[0] : { $in: vendors };
+
+  const codes = many("timeCode").flatMap((s) => s.split(",").map((c) => c.trim().toUpperCase()).filter(Boolean));
+  const badCode = codes.find((c) => !TIME_CODES.includes(c));
+  if (badCode) addError(errors, "timeCode", `timeCode must be one of ${TIME_CODES.join(", ")}`);
+  else if (codes.length) {
+    const model = await getScoringModel(env);
+    and.push({ $or: [...new Set(codes)].map((c) => timeCodeClause(c, model)) });
+  }
+
+  for (const fit of ["technicalFit", "functionalFit"]) {
+    const range = {};
+    for (const [key, op] of [[`${fit}Min`, "$gte"], [`${fit}Max`, "$lte"]]) {
+      const raw = (params.get(key) || "").trim();
+      if (!raw) continue;
+      const n = Number(raw);
+      if (n >= 1 && n <= 5) range[op] = n;
+      else addError(errors, key, `${key} must be 1-5`);
+    }
+    if (Object.keys(range).length) and.push({ [fit]: range });
+  }
+
+  const expires = {};
+  const within = (params.get("expiresWithin") || "").trim();
+  if (within) {
+    const days = Number(within);
+    if (Number.isInteger(days) && days >= 0 && days <= 3650) {
+      const today = new Date().toISOString().slice(0, 10);
+      expires.$gte = today;
+      expires.$lte = new Date(Date.parse(today) + days * DAY_MS).toISOString().slice(0, 10);
+    } else {
+      addError(errors, "expiresWithin", "expiresWithin must be 0-3650 days");
+    }
+  }
+  for (const [key, op] of [["expiresFrom", "$gte"], ["expiresTo", "$lte"]]) {
+    const v = (params.get(key) || "").trim();
+    if (!v) continue;
+    if (isIsoDate(v)) expires[op] = v;
+    else addError(errors, key, `${key} must be a date (YYYY-MM-DD)`);
+  }
+  if (Object.keys(expires).length) and.push({ contractExpiration: expires });
+
+  if (and.length) q.$and = and;
+  return { q, customer, errors };
+}
+
+// Stored item fields GET /api/items can sort on and project to. Sorting by
+// timeCode or a fit uses the stored values, which rescoreItems keeps in step
+// with the current scoring model.
+const ITEM_LIST_FIELDS = [
+  "customerName",
+  "customerId",
+  "category",
+  "subcategory",
+  "solution",
+  "solutionId",
+  "vendor",
+  "vendorId",
+  "notes",
+  "technicalFit",
+  "functionalFit",
+  "scores",
+  "timeCode",
+  "timeLabel",
+  "dateImplemented",
+  "contractExpiration",
+  "target",
+  "monthlyCost",
+  "oneTimeCost",
+  "seats",
+  "currency",
+  "team",
+  "createdBy",
+  "createdAt",
+  "updatedBy",
+  "updatedAt",
+  "deletedBy",
+  "deletedAt",
+];
+const ITEM_SCORE_FIELDS = ["technicalFit", "functionalFit", "scores", "timeCode", "timeLabel"];
+const MAX_ITEM_PAGE = 500;
+
+// sort=-contractExpiration,vendor (a leading "-" is descending),
+// fields=solution,vendor and skip/limit paging. Without a limit every match is
+// returned, as before. Returns { sort, skip, limit, fields, errors }.
+function itemListOptions(params, deleted) {
+  const errors = {};
+  const names = (key) =>
+    String(params.get(key) || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+  const sort = {};
+  for (const spec of names("sort")) {
+    const field = spec.replace(/^[-+]/, "");
+    if (!ITEM_LIST_FIELDS.includes(field) || field === "scores" || field === "target") addError(errors, "sort", `Cannot sort by ${field}`);
+    else sort[field] = spec.startsWith("-") ? -1 : 1;
+  }
+  const tiebreak = deleted ? "deletedAt" : "createdAt";
+  if (!(tiebreak in sort)) sort[tiebreak] = -1;
+
+  let fields = null;
+  for (const field of names("fields")) {
+    if (!ITEM_LIST_FIELDS.includes(field) && field !== "risks" && field !== "estimatedSavings") addError(errors, "fields", `Unknown field ${field}`);
+    else (fields = fields || {})[field] = 1;
+  }
+
+  const skip = Math.max(0, Math.floor(Number(params.get("skip")) || 0));
+  const limit = params.has("limit") ? Math.min(MAX_ITEM_PAGE, Math.max(1, Math.floor(Number(params.get("limit")) || 50))) : 0;
+
+  return { sort, skip, limit, fields, errors };
+}
+
+/* ----------------------------- RENEWALS ----------------------------- */
+// Contract expirations make up the renewal pipeline. GET /api/renewals lists
+// them across customers; the cron trigger sends a digest grouped into these
+// windows to RENEWAL_WEBHOOK_URL and/or the email endpoint (RENEWAL_EMAIL_*).
+const RENEWAL_WINDOWS = [30, 60, 90, 180];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Items whose contract expires between today and `days` from now, soonest
+// first, each with daysLeft and the smallest window it falls in. Takes the
+// GET /api/items filters; returns { errors } when they don't parse.
+async function findRenewals(env, params, days) {
+  const from = new Date().toISOString().slice(0, 10);
+  const to = new Date(Date.parse(from) + days * DAY_MS).toISOString().slice(0, 10);
+
+  const { q, errors } = await itemQueryFromParams(env, params);
+  if (hasErrors(errors)) return { errors };
+  q.contractExpiration = { $gte: from, $lte: to };
+
+  const items = await getStore(env).list(itemsCollection(env), { q, sort: { contractExpiration: 1, customerName: 1 } });
+  const model = await getScoringModel(env);
+
+  const renewals = items
+    .map((it) => withTIME(it, model))
+    .map((it) => {
+      const daysLeft = Math.round((Date.parse(it.contractExpiration) - Date.parse(from)) / DAY_MS);
+      return { ...it, daysLeft, window: RENEWAL_WINDOWS.find((w) => daysLeft <= w) || days };
+    });
+
+  return { from, to, renewals };
+}
+
+function renewalDigestText(from, groups) {
+  const lines = [`Technology Matrix — contract renewals as of ${from}`];
+  let previous = -1;
+  for (const g of groups) {
+    lines.push("", `Expiring in ${previous + 1}-${g.days} days (${g.items.length})`);
+    for (const it of g.items) {
+      const vendor = it.vendor ? ` (${it.vendor})` : "";
+      lines.push(`  ${it.contractExpiration}  ${it.customerName} · ${it.category} · ${it.solution}${vendor} · ${it.timeCode} ${it.timeLabel}`);
+    }
+    if (!g.items.length) lines.push("  none");
+    previous = g.days;
+  }
+  return lines.join("\n");
+}
+
+async function postDigest(to, endpoint, headers, payload) {
+  try {
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) console.error("renewal digest delivery failed", to, res.status, await res.text().catch(() => ""));
+    return { to, ok: res.ok, status: res.status };
+  } catch (e) {
+    console.error("renewal digest delivery failed", to, e);
+    return { to, ok: false, error: String(e.message || e) };
+  }
+}
+
+// The webhook gets { text, from, windows } (text alone is enough for Slack or
+// Teams incoming webhooks); the email endpoint gets a MailChannels-style send
+// request. Nothing is sent when no contract expires within the last window.
+async function sendRenewalDigest(env) {
+  const maxDays = RENEWAL_WINDOWS[RENEWAL_WINDOWS.length - 1];
+  const { from, renewals } = await findRenewals(env, new URLSearchParams(), maxDays);
+  const groups = RENEWAL_WINDOWS.map((days) => ({ days, items: renewals.filter((r) => r.window === days) }));
+  const summary = { from, total: renewals.length, windows: groups.map((g) => ({ days: g.days, count: g.items.length })), sent: [] };
+  if (!renewals.length) return summary;
+
+  const text = renewalDigestText(from, groups);
+
+  if (env.RENEWAL_WEBHOOK_URL) {
+    const windows = groups.map((g) => ({
+      days: g.days,
+      items: g.items.map((it) => ({
+        itemId: it._id,
+        customerName: it.customerName,
+        customerId: it.customerId || null,
+        category: it.category,
+        solution: it.solution,
+        vendor: it.vendor,
+        contractExpiration: it.contractExpiration,
+        daysLeft: it.daysLeft,
+        timeCode: it.timeCode,
+        timeLabel: it.timeLabel,
+      })),
+    }));
+    summary.sent.push(await postDigest("webhook", env.RENEWAL_WEBHOOK_URL, {}, { text, from, windows }));
+  }
+
+  if (env.RENEWAL_EMAIL_URL && env.RENEWAL_EMAIL_TO && env.RENEWAL_EMAIL_FROM) {
+    const to = String(env.RENEWAL_EMAIL_TO)
+      .split(",")
+      .map((e) => e.trim())
+      .filter(Boolean)
+      .map((email) => ({ email }));
+    const headers = env.RENEWAL_EMAIL_API_KEY ? { "x-api-key": env.RENEWAL_EMAIL_API_KEY } : {};
+    summary.sent.push(
+      await postDigest("email", env.RENEWAL_EMAIL_URL, headers, {
+        personalizations: [{ to }],
+        from: { email: env.RENEWAL_EMAIL_FROM, name: "Technology Matrix" },
+        subject: `Contract renewals: ${groups[0].items.length} in the next ${groups[0].days} days, ${renewals.length} within ${maxDays}`,
+        content: [{ type: "text/plain", value: text }],
+      })
+    );
+  }
+
+  if (!summary.sent.length) console.error("renewal digest: no RENEWAL_WEBHOOK_URL or RENEWAL_EMAIL_* configured");
+  return summary;
+}
+
+// GET /api/renewals?days=180&category=...&timeCode=I,M&customerName=...
+// POST /api/renewals/digest — send the digest now (admin; checks the delivery settings)
+async function handleRenewals(req, env, url, auth) {
+  const sub = url.pathname.split("/").filter(Boolean)[2] || "";
+
+  if (sub === "digest") {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+    const denied = requireRole(auth, "admin");
+    if (denied) return denied;
+    return json({ ok: true, ...(await sendRenewalDigest(env)) });
+  }
+  if (sub) return json({ ok: false, error: "Not Found" }, 404);
+
+  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "viewer");
+  if (denied) return denied;
+
+  const days = Math.floor(Number(url.searchParams.get("days") || RENEWAL_WINDOWS[RENEWAL_WINDOWS.length - 1]));
+  if (!(days >= 1 && days <= 730)) return json({ ok: false, error: "days must be 1-730" }, 400);
+
+  const { from, to, renewals, errors } = await findRenewals(env, url.searchParams, days);
+  if (errors) return errorResponse(errors);
+  return json({ ok: true, from, to, renewals });
+}
+
+/* ----------------------------- STATS ----------------------------- */
+// GET /api/stats?category=...&from=YYYY-MM-DD&to=YYYY-MM-DD&dateField=dateImplemented
+// Portfolio aggregates over the live items (plus the GET /api/items filters),
+// computed here so the page never has to pull the whole collection.
+const STATS_DATE_FIELDS = ["dateImplemented", "contractExpiration", "createdAt"];
+const STATS_TOP = 10;
+
+function byCountDesc(a, b) {
+  return b.count - a.count || String(a.name).localeCompare(String(b.name));
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+async function handleStats(req, env, url, auth) {
+  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "viewer");
+  if (denied) return denied;
+
+  const params = url.searchParams;
+  const dateField = params.get("dateField") || "dateImplemented";
+  const from = (params.get("from") || "").trim();
+  const to = (params.get("to") || "").trim();
+  if (!STATS_DATE_FIELDS.includes(dateField)) {
+    return json({ ok: false, error: `dateField must be one of ${STATS_DATE_FIELDS.join(", ")}` }, 400);
+  }
+
+  const { q, errors } = await itemQueryFromParams(env, params);
+  if (from && !isIsoDate(from)) addError(errors, "from", "from must be a date (YYYY-MM-DD)");
+  if (to && !isIsoDate(to)) addError(errors, "to", "to must be a date (YYYY-MM-DD)");
+  if (hasErrors(errors)) return errorResponse(errors);
+  if (from || to) {
+    // `to` is inclusive; comparing against the next day also covers createdAt timestamps.
+    q[dateField] = {};
+    if (from) q[dateField].$gte = from;
+    if (to) q[dateField].$lt = new Date(Date.parse(to) + DAY_MS).toISOString().slice(0, 10);
+  }
+
+  const items = await getStore(env).list(itemsCollection(env), {
+    q,
+    fields: { customerName: 1, customerId: 1, category: 1, solution: 1, vendor: 1, technicalFit: 1, functionalFit: 1, scores: 1 },
+  });
+  const model = await getScoringModel(env);
+
+  const time = { I: 0, M: 0, T: 0, E: 0 };
+  const categories = new Map();
+  const vendors = new Map();
+  const solutions = new Map();
+  const customers = new Map();
+
+  for (const raw of items) {
+    const it = withTIME(raw, model);
+    const code = it.timeCode;
+    time[code]++;
+
+    const cat = categories.get(it.category) || { category: it.category, total: 0, I: 0, M: 0, T: 0, E: 0 };
+    cat.total++;
+    cat[code]++;
+    categories.set(it.category, cat);
+
+    const customerKeyed = it.customerId || customerKey(it.customerName);
+    const cust = customers.get(customerKeyed) || { customerName: it.customerName, customerId: it.customerId || null, total: 0, E: 0, M: 0 };
+    cust.total++;
+    if (code === "E" || code === "M") cust[code]++;
+    customers.set(customerKeyed, cust);
+
+    const vendorName = String(it.vendor || "").trim();
+    if (vendorName) {
+      const v = vendors.get(vendorName.toLowerCase()) || { name: vendorName, count: 0, technical: 0, functional: 0, customers: new Set() };
+      v.count++;
+      v.technical += Number(it.technicalFit) || 0;
+      v.functional += Number(it.functionalFit) || 0;
+      v.customers.add(customerKeyed);
+      vendors.set(vendorName.toLowerCase(), v);
+    }
+
+    const solutionName = String(it.solution || "").trim();
+    if (solutionName) {
+      const sol = solutions.get(solutionName.toLowerCase()) || { name: solutionName, count: 0, customers: new Set() };
+      sol.count++;
+      sol.customers.add(customerKeyed);
+      solutions.set(solutionName.toLowerCase(), sol);
+    }
+  }
+
+  // Categories in taxonomy order; names no longer in the taxonomy go last.
+  const order = new Map((await listCategories(env)).map((c, i) => [c.name, i]));
+  const byCategory = [...categories.values()].sort(
+    (a, b) => (order.get(a.category) ?? Infinity) - (order.get(b.category) ?? Infinity) || String(a.category).localeCompare(String(b.category))
+  );
+
+  const vendorList = [...vendors.values()].sort(byCountDesc);
+
+  return json({
+    ok: true,
+    filters: { category: params.get("category") || "", dateField, from: from || null, to: to || null },
+    total: items.length,
+    customers: customers.size,
+    time,
+    byCategory,
+    topVendors: vendorList.slice(0, STATS_TOP).map((v) => ({ vendor: v.name, count: v.count, customers: v.customers.size })),
+    topSolutions: [...solutions.values()]
+      .sort(byCountDesc)
+      .slice(0, STATS_TOP)
+      .map((sol) => ({ solution: sol.name, count: sol.count, customers: sol.customers.size })),
+    atRiskCustomers: [...customers.values()]
+      .filter((c) => c.E + c.M > 0)
+      .sort((a, b) => b.E + b.M - (a.E + a.M) || b.E - a.E || String(a.customerName).localeCompare(String(b.customerName)))
+      .slice(0, STATS_TOP),
+    vendorFit: vendorList.slice(0, STATS_TOP).map((v) => ({
+      vendor: v.name,
+      count: v.count,
+      avgTechnicalFit: round1(v.technical / v.count),
+      avgFunctionalFit: round1(v.functional / v.count),
+    })),
+  });
+}
+
+/* ----------------------------- SEARCH ----------------------------- */
+// GET /api/search?q=...&category=...&timeCode=E,M&customerName=...&limit=50
+// Every word of q must appear (case-insensitively) in one of SEARCH_FIELDS;
+// results come back best match first with highlighted snippets per field.
+const SEARCH_FIELDS = [
+  { key: "customerName", weight: 3 },
+  { key: "solution", weight: 3 },
+  { key: "vendor", weight: 3 },
+  { key: "notes", weight: 1 },
+];
+const SNIPPET_CONTEXT = 60;
+
+function searchTerms(q) {
+  const seen = new Set();
+  return String(q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((t) => t.length >= 2 && !seen.has(t) && seen.add(t));
+}
+
+// The text around the first hit (whole value when short) with every term
+// marked; `html` is escaped with <mark> around the hits.
+function searchSnippet(value, terms) {
+  const text = String(value || "");
+  const lower = text.toLowerCase();
+  const first = Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0));
+  if (!Number.isFinite(first)) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_CONTEXT * 2) {
+    start = Math.max(0, first - SNIPPET_CONTEXT);
+    end = Math.min(text.length, first + SNIPPET_CONTEXT);
+  }
+  const slice = text.slice(start, end);
+  const sliceLower = slice.toLowerCase();
+
+  const ranges = [];
+  for (const t of terms) {
+    for (let i = sliceLower.indexOf(t); i >= 0; i = sliceLower.indexOf(t, i + t.length)) ranges.push([i, i + t.length]);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+
+  let html = "";
+  let at = 0;
+  for (const [a, b] of merged) {
+    html += `${escapeHtml(slice.slice(at, a))}<mark>${escapeHtml(slice.slice(a, b))}</mark>`;
+    at = b;
+  }
+  html += escapeHtml(slice.slice(at));
+
+  const pre = start > 0 ? "…" : "";
+  const post = end < text.length ? "…" : "";
+  return { snippet: pre + slice + post, html: pre + html + post, hits: merged.length };
+}
+
+async function handleSearch(req, env, url, auth) {
+  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "viewer");
+  if (denied) return denied;
+
+  const params = url.searchParams;
+  const terms = searchTerms(params.get("q"));
+  if (!terms.length) return json({ ok: false, error: "q needs at least one word of 2+ characters" }, 400);
+  const limit = Math.min(200, Math.max(1, Math.floor(Number(params.get("limit")) || 50)));
+  const { q, errors } = await itemQueryFromParams(env, params);
+  if (hasErrors(errors)) return errorResponse(errors);
+  q.$and = [
+    ...(q.$and || []),
+    ...terms.map((t) => ({
+      $or: SEARCH_FIELDS.map((f) => ({ [f.key]: { $regex: escapeRegex(t), $options: "i" } })),
+    })),
+  ];
+
+  const items = await getStore(env).list(itemsCollection(env), { q, sort: { customerName: 1, solution: 1 } });
+  const model = await getScoringModel(env);
+
+  const results = [];
+  for (const raw of items) {
+    const item = withTIME(raw, model);
+
+    const matches = [];
+    let score = 0;
+    for (const f of SEARCH_FIELDS) {
+      const hit = searchSnippet(item[f.key], terms);
+      if (!hit) continue;
+      matches.push({ field: f.key, snippet: hit.snippet, html: hit.html });
+      score += f.weight * hit.hits;
+    }
+    results.push({ item, matches, score });
+  }
+  results.sort((a, b) => b.score - a.score);
+
+  return json({
+    ok: true,
+    q: params.get("q"),
+    terms,
+    total: results.length,
+    truncated: results.length > limit,
+    results: results.slice(0, limit).map(({ item, matches }) => ({ item, matches })),
+  });
+}
+
+/* ----------------------------- EXPORT ----------------------------- */
+// GET /api/export?format=csv|xlsx with the same filters as GET /api/items.
+// Fits and TIME are re-scored with the current model so the sheet can't show a stale quadrant.
+const EXPORT_COLUMNS = [
+  { key: "customerName", header: "Customer" },
+  { key: "customerId", header: "Customer ID" },
+  { key: "category", header: "Category" },
+  { key: "subcategory", header: "Subcategory" },
+  { key: "solution", header: "Solution" },
+  { key: "solutionId", header: "Solution ID" },
+  { key: "vendor", header: "Vendor" },
+  { key: "vendorId", header: "Vendor ID" },
+  { key: "technicalFit", header: "Technical Fit", number: true },
+  { key: "functionalFit", header: "Functional Fit", number: true },
+  { key: "timeCode", header: "TIME Code" },
+  { key: "timeLabel", header: "TIME" },
+  { key: "dateImplemented", header: "Date Implemented" },
+  { key: "contractExpiration", header: "Contract Expiration" },
+  { key: "notes", header: "Notes" },
+  { key: "monthlyCost", header: "Monthly Cost", number: true },
+  { key: "oneTimeCost", header: "One-time Cost", number: true },
+  { key: "seats", header: "Seats", number: true },
+  { key: "currency", header: "Currency" },
+  { key: "target.solution", header: "Target Solution" },
+  { key: "target.vendor", header: "Target Vendor" },
+  { key: "target.targetDate", header: "Target Date" },
+  { key: "target.estimatedCost", header: "Target Estimated Cost", number: true },
+  { key: "target.estimatedAnnualCost", header: "Target Estimated Annual Cost", number: true },
+  { key: "target.owner", header: "Target Owner" },
+  { key: "target.status", header: "Target Status" },
+  { key: "team", header: "Team" },
+  { key: "createdBy", header: "Created By" },
+  { key: "createdAt", header: "Created At" },
+  { key: "updatedBy", header: "Updated By" },
+  { key: "updatedAt", header: "Updated At" },
+  { key: "_id", header: "Item ID" },
+];
+
+function exportRows(items) {
+  return items.map((it) =>
+    EXPORT_COLUMNS.map((c) => {
+      const v = c.key.split(".").reduce((o, k) => (o == null ? o : o[k]), it);
+      if (v == null || v === "") return "";
+      return c.number && Number.isFinite(Number(v)) ? Number(v) : String(v);
+    })
+  );
+}
+
+// Text a spreadsheet app would evaluate as a formula gets a leading ' on export.
+// Text that already starts with ' before such a character gets one more, so
+// the import can always take exactly one off (csvImportValue).
+const CSV_FORMULA_GUARD = /^'*[=+\-@\t\r]/;
+
+function csvCell(v) {
+  if (typeof v === "number") return String(v);
+  let s = String(v);
+  if (CSV_FORMULA_GUARD.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.map((c) => c.header), ...rows].map((r) => r.map(csvCell).join(","));
+  // BOM so Excel opens the file as UTF-8.
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/* Minimal single-sheet .xlsx: inline strings, bold header row, stored (uncompressed) zip. */
+function xmlText(v) {
+  return escapeHtml(String(v).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ""));
+}
+
+function xlsxColumn(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function toXlsx(rows, sheetName = "Matrix") {
+  const all = [EXPORT_COLUMNS.map((c) => c.header), ...rows];
+  const sheetRows = all
+    .map((r, ri) => {
+      const cells = r
+        .map((v, ci) => {
+          const ref = `${xlsxColumn(ci)}${ri + 1}`;
+          const style = ri === 0 ? ' s="1"' : "";
+          if (v === "") return "";
+          if (typeof v === "number") return `<c r="${ref}"${style}><v>${v}</v></c>`;
+          return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlText(v)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${ri + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  const lastCol = xlsxColumn(EXPORT_COLUMNS.length - 1);
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      text:
+        xml +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      text:
+        xml +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      text:
+        xml +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${xmlText(sheetName.replace(/[\\/?*[\]:]/g, " ").slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      text:
+        xml +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/styles.xml",
+      text:
+        xml +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        "</styleSheet>",
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      text:
+        xml +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${sheetRows}</sheetData>` +
+        `<autoFilter ref="A1:${lastCol}${all.length}"/>` +
+        "</worksheet>",
+    },
+  ];
+
+  const enc = new TextEncoder();
+  return zipStore(files.map((f) => ({ name: f.name, data: enc.encode(f.text) })));
+}
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Zip with the "stored" method: no compression library needed and Excel is happy with it.
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  const DOS_DATE = (0 << 9) | (1 << 5) | 1; // 1980-01-01
+  let offset = 0;
+
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const crc = crc32(f.data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true);
+    local.setUint16(10, 0, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, f.data.length, true);
+    local.setUint32(22, f.data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(new Uint8Array(local.buffer), name, f.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, 0, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, f.data.length, true);
+    entry.setUint32(24, f.data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + f.data.length;
+  }
+
+  const centralSize = central.reduce((n, p) => n + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const all = [...parts, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(all.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of all) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+async function handleExport(req, env, url, auth) {
+  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "viewer");
+  if (denied) return denied;
+
+  const format = String(url.searchParams.get("format") || "csv").toLowerCase();
+  if (format !== "csv" && format !== "xlsx") return json({ ok: false, error: "format must be csv or xlsx" }, 400);
+
+  const { q, customer, errors } = await itemQueryFromParams(env, url.searchParams);
+  if (hasErrors(errors)) return errorResponse(errors);
+  const items = await getStore(env).list(itemsCollection(env), {
+    q,
+    sort: { customerName: 1, category: 1, solution: 1 },
+  });
+  const model = await getScoringModel(env);
+  const rows = exportRows(items.map((it) => withTIME(it, model)));
+
+  const scope = customer ? customer.customerName : (url.searchParams.get("customerName") || "").trim() || "portfolio";
+  const slug = scope.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "export";
+  const filename = `technology-matrix-${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const disposition = `attachment; filename="${filename}"`;
+
+  if (format === "xlsx") {
+    return new Response(toXlsx(rows, customer ? customer.customerName : "Portfolio"), {
+      headers: {
+        "content-type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "content-disposition": disposition,
+      },
+    });
+  }
+
+  return new Response(toCsv(rows), {
+    headers: { "content-type": "text/csv; charset=utf-8", "content-disposition": disposition },
+  });
+}
+
+/* ----------------------------- DYNAMICS SYNC ----------------------------- */
+// Pushes each linked customer's matrix summary onto its Dynamics 365 account
+// and can open an opportunity per Migrate/Eliminate item. The sync only talks
+// to a small CRM interface, so DATAVERSE_URL can point at a local mock:
+//   updateAccount(accountId, fields)
+//   createOpportunity(fields)          -> opportunity id
+// The Dataverse client authenticates with Azure AD client credentials
+// (DATAVERSE_TENANT_ID / DATAVERSE_CLIENT_ID / DATAVERSE_CLIENT_SECRET);
+// DATAVERSE_TOKEN_URL overrides the token endpoint for the same reason.
+// Every run writes one entry per customer to the sync log collection.
+class CrmError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "CrmError";
+    this.status = status;
+  }
+}
+
+function syncLogCollection(env) {
+  return String(env.RESTDB_SYNC_COLLECTION || `${itemsCollection(env)}-crm-sync`);
+}
+
+let dataverseToken = null;
+
+async function dataverseAccessToken(env, resource) {
+  if (dataverseToken && dataverseToken.resource === resource && dataverseToken.expiresAt > Date.now() + 60 * 1000) {
+    return dataverseToken.token;
+  }
+  requireEnv(env, ["DATAVERSE_CLIENT_ID", "DATAVERSE_CLIENT_SECRET"]);
+  if (!env.DATAVERSE_TOKEN_URL) requireEnv(env, ["DATAVERSE_TENANT_ID"]);
+
+  const tokenUrl =
+    env.DATAVERSE_TOKEN_URL ||
+    `https://login.microsoftonline.com/${encodeURIComponent(env.DATAVERSE_TENANT_ID)}/oauth2/v2.0/token`;
+  const res = await fetch(tokenUrl, {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "client_credentials",
+      client_id: String(env.DATAVERSE_CLIENT_ID),
+      client_secret: String(env.DATAVERSE_CLIENT_SECRET),
+      scope: `${resource}/.default`,
+    }).toString(),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data || !data.access_token) {
+    throw new CrmError(502, `Dataverse sign-in failed: ${(data && (data.error_description || data.error)) || res.status}`);
+  }
+
+  dataverseToken = { resource, token: data.access_token, expiresAt: Date.now() + Number(data.expires_in || 3600) * 1000 };
+  return dataverseToken.token;
+}
+
+function dataverseClient(env) {
+  const resource = String(env.DATAVERSE_URL).replace(/\/$/, "");
+  const base = `${resource}/api/data/v${env.DATAVERSE_API_VERSION || "9.2"}`;
+
+  async function call(path, init) {
+    const token = await dataverseAccessToken(env, resource);
+    const res = await fetch(`${base}${path}`, {
+      ...init,
+      headers: {
+        authorization: `Bearer ${token}`,
+        accept: "application/json",
+        "content-type": "application/json; charset=utf-8",
+        "odata-maxversion": "4.0",
+        "odata-version": "4.0",
+        ...(init.headers || {}),
+      },
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => null);
+      const detail = data && data.error && data.error.message ? data.error.message : `HTTP ${res.status}`;
+      throw new CrmError(502, `Dataverse ${init.method} ${path}: ${detail}`);
+    }
+    return res;
+  }
+
+  return {
+    // If-Match: * stops the PATCH from creating an account when the id is wrong.
+    async updateAccount(accountId, fields) {
+      await call(`/accounts(${accountId})`, { method: "PATCH", headers: { "if-match": "*" }, body: JSON.stringify(fields) });
+    },
+
+    async createOpportunity(fields) {
+      const res = await call("/opportunities", { method: "POST", body: JSON.stringify(fields) });
+      const m = /\(([0-9a-f-]{36})\)\s*$/i.exec(res.headers.get("odata-entityid") || "");
+      return m ? m[1] : null;
+    },
+  };
+}
+
+function getCrm(env) {
+  if (!env.DATAVERSE_URL) throw new CrmError(503, "Dynamics sync is not configured (DATAVERSE_URL)");
+  return dataverseClient(env);
+}
+
+// The account columns are custom, so their names share a configurable prefix.
+function accountFields(env, items) {
+  const p = String(env.DATAVERSE_FIELD_PREFIX || "pf_techmatrix_");
+  const counts = { I: 0, M: 0, T: 0, E: 0 };
+  for (const it of items) counts[it.timeCode]++;
+  const nextExpiration =
+    items
+      .map((it) => it.contractExpiration)
+      .filter((d) => d && d >= new Date().toISOString().slice(0, 10))
+      .sort()[0] || null;
+  const actions = items
+    .filter((it) => it.timeCode === "E" || it.timeCode === "M")
+    .sort((a, b) => a.timeCode.localeCompare(b.timeCode) || String(a.solution).localeCompare(String(b.solution)))
+    .map((it) => {
+      const vendor = it.vendor ? ` (${it.vendor})` : "";
+      const exp = it.contractExpiration ? `, expires ${it.contractExpiration}` : "";
+      return `${it.timeLabel}: ${it.solution}${vendor} — ${it.category}${exp}`;
+    });
+
+  return {
+    [`${p}invest`]: counts.I,
+    [`${p}migrate`]: counts.M,
+    [`${p}tolerate`]: counts.T,
+    [`${p}eliminate`]: counts.E,
+    [`${p}total`]: items.length,
+    [`${p}nextexpiration`]: nextExpiration,
+    [`${p}actions`]: actions.join("\n").slice(0, 4000),
+    [`${p}syncedon`]: new Date().toISOString(),
+  };
+}
+
+function opportunityFields(item, accountId) {
+  const vendor = item.vendor ? ` (${item.vendor})` : "";
+  const fields = {
+    name: `${item.timeLabel}: ${item.solution}${vendor}`.slice(0, 300),
+    description:
+      `Technology Matrix — ${item.category}${item.subcategory ? ` / ${item.subcategory}` : ""}. ` +
+      `Technical fit ${item.technicalFit}, functional fit ${item.functionalFit}.` +
+      (item.notes ? `\n\n${item.notes}` : ""),
+    "customerid_account@odata.bind": `/accounts(${accountId})`,
+  };
+  if (item.contractExpiration) fields.estimatedclosedate = item.contractExpiration;
+  return fields;
+}
+
+// Opportunities are opened once per item; the id is kept on the item without
+// touching updatedAt, so it doesn't count as an edit. When Dynamics doesn't
+// return the id the item is left unlinked and the log entry says so.
+async function syncCustomer(env, crm, customer, { opportunities, by, trigger, model }) {
+  const store = getStore(env);
+  const { q } = await itemQueryFromParams(env, new URLSearchParams({ customerId: customer._id }));
+  const items = (await store.list(itemsCollection(env), { q, sort: { category: 1, solution: 1 } })).map((it) =>
+    withTIME(it, model)
+  );
+
+  const fields = accountFields(env, items);
+  const entry = {
+    customerId: customer._id,
+    customerName: customer.customerName,
+    accountId: customer.dynamicsAccountId,
+    at: new Date().toISOString(),
+    by,
+    trigger,
+    ok: true,
+    error: null,
+    fields,
+    opportunities: [],
+  };
+
+  try {
+    await crm.updateAccount(customer.dynamicsAccountId, fields);
+    if (opportunities) {
+      for (const it of items) {
+        if ((it.timeCode !== "E" && it.timeCode !== "M") || it.crmOpportunityId) continue;
+        const opportunityId = await crm.createOpportunity(opportunityFields(it, customer.dynamicsAccountId));
+        if (!opportunityId) {
+          entry.opportunities.push({ itemId: it._id, solution: it.solution, opportunityId: null, error: "Dynamics did not return the opportunity id" });
+          continue;
+        }
+        await store.update(itemsCollection(env), it._id, { crmOpportunityId: opportunityId });
+        entry.opportunities.push({ itemId: it._id, solution: it.solution, opportunityId });
+      }
+    }
+  } catch (e) {
+    entry.ok = false;
+    entry.error = String(e.message || e);
+  }
+
+  // The caller still gets the sync result when the log write fails; only the
+  // "last sync" line on the customer panel misses it.
+  try {
+    await store.create(syncLogCollection(env), entry);
+  } catch (e) {
+    console.error("crm sync log write failed", e.status || "", e.detail || e);
+  }
+  return entry;
+}
+
+// One customer (customerId) or every customer linked to a Dynamics account.
+async function syncCustomers(env, { customerId = null, opportunities = false, by, trigger }) {
+  const crm = getCrm(env);
+  const model = await getScoringModel(env);
+
+  let customers;
+  if (customerId) {
+    const c = await getCustomer(env, customerId);
+    if (!c) throw new CrmError(404, "Customer not found");
+    if (!c.dynamicsAccountId) throw new CrmError(409, "Customer is not linked to a Dynamics account");
+    customers = [c];
+  } else {
+    customers = await getStore(env).list(customersCollection(env), {
+      q: { mergedInto: null, dynamicsAccountId: { $ne: null } },
+      sort: { nameKey: 1 },
+    });
+  }
+
+  const results = [];
+  for (const c of customers) results.push(await syncCustomer(env, crm, c, { opportunities, by, trigger, model }));
+  return {
+    synced: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+    opportunities: results.reduce((n, r) => n + r.opportunities.filter((o) => o.opportunityId).length, 0),
+    results,
+  };
+}
+
+// POST /api/crm/sync { customerId?, opportunities? } (admin)
+// GET  /api/crm/log?customerId=...&limit=20
+async function handleCrm(req, env, url, auth) {
+  const sub = url.pathname.split("/").filter(Boolean)[2] || "";
+
+  if (sub === "sync") {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+    const denied = requireRole(auth, "admin");
+    if (denied) return denied;
+
+    const body = await req.json().catch(() => ({}));
+    const opportunities = body && body.opportunities != null ? !!body.opportunities : env.DATAVERSE_CREATE_OPPORTUNITIES === "1";
+    const out = await syncCustomers(env, {
+      customerId: body && body.customerId ? String(body.customerId) : null,
+      opportunities,
+      by: auth.user,
+      trigger: "manual",
+    });
+    return json({ ok: true, ...out });
+  }
+
+  if (sub === "log") {
+    if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+    const denied = requireRole(auth, "viewer");
+    if (denied) return denied;
+
+    const customerId = (url.searchParams.get("customerId") || "").trim();
+    const limit = Math.min(200, Math.max(1, Math.floor(Number(url.searchParams.get("limit")) || 20)));
+    const log = await getStore(env).list(syncLogCollection(env), {
+      q: customerId ? { customerId } : {},
+      sort: { at: -1 },
+      max: limit,
+    });
+    return json({ ok: true, log });
+  }
+
+  return json({ ok: false, error: "Not Found" }, 404);
+}
+
+/* ----------------------------- SNAPSHOTS ----------------------------- */
+// A snapshot freezes a customer's live items, scored under the model of the
+// day, with a label and an as-of date. Comparing two snapshots (or one and the
+// live items) pairs items by id, then by category and solution so a deleted and
+// re-entered item still lines up, and reports what was added, removed, re-scored
+// or moved to another TIME quadrant.
+const SNAPSHOT_FIELDS = [
+  "category",
+  "subcategory",
+  "solution",
+  "solutionId",
+  "vendor",
+  "vendorId",
+  "technicalFit",
+  "functionalFit",
+  "timeCode",
+  "timeLabel",
+  "dateImplemented",
+  "contractExpiration",
+];
+
+// Changes that make a paired item "changed"; a different timeCode makes it "moved".
+const COMPARE_FIELDS = ["technicalFit", "functionalFit", "subcategory", "vendor", "contractExpiration"];
+
+function snapshotsCollection(env) {
+  return String(env.RESTDB_SNAPSHOTS_COLLECTION || `${itemsCollection(env)}-snapshots`);
+}
+
+function snapshotItem(item) {
+  const out = { itemId: item._id };
+  for (const f of SNAPSHOT_FIELDS) out[f] = item[f] ?? null;
+  return out;
+}
+
+function publicSnapshot(s) {
+  return {
+    _id: s._id,
+    customerId: s.customerId,
+    customerName: s.customerName,
+    label: s.label,
+    date: s.date,
+    itemCount: Number(s.itemCount || 0),
+    createdBy: s.createdBy || null,
+    createdAt: s.createdAt,
+  };
+}
+
+async function liveSnapshotItems(env, customer) {
+  const model = await getScoringModel(env);
+  const q = { ...customerItemsClause(customer), deletedAt: null };
+  const items = await getStore(env).list(itemsCollection(env), { q });
+  return items.map((it) => snapshotItem(withTIME(it, model)));
+}
+
+function compareItems(before, after) {
+  const pairKey = (it) => `${categoryKey(it.category)}|${catalogKey(it.solution)}`;
+  const left = new Map(after.map((it) => [it.itemId, it]));
+  const pairs = [];
+  const rows = [];
+
+  const unpaired = [];
+  for (const b of before) {
+    const a = left.get(b.itemId);
+    if (a && pairKey(a) === pairKey(b)) {
+      pairs.push([b, a]);
+      left.delete(b.itemId);
+    } else {
+      unpaired.push(b);
+    }
+  }
+  for (const b of unpaired) {
+    const a = [...left.values()].find((it) => pairKey(it) === pairKey(b));
+    if (a) {
+      pairs.push([b, a]);
+      left.delete(a.itemId);
+    } else {
+      rows.push({ status: "removed", before: b, after: null, changes: [] });
+    }
+  }
+  for (const [b, a] of pairs) {
+    const changes = COMPARE_FIELDS.filter((f) => (b[f] ?? null) !== (a[f] ?? null));
+    const status = b.timeCode !== a.timeCode ? "moved" : changes.length ? "changed" : "unchanged";
+    rows.push({ status, before: b, after: a, changes: b.timeCode !== a.timeCode ? ["timeCode", ...changes] : changes });
+  }
+  for (const a of left.values()) rows.push({ status: "added", before: null, after: a, changes: [] });
+
+  const sortKey = (r) => {
+    const it = r.after || r.before;
+    return `${it.category || ""}\u0000${it.solution || ""}`;
+  };
+  rows.sort((x, y) => sortKey(x).localeCompare(sortKey(y)));
+
+  const summary = { added: 0, removed: 0, moved: 0, changed: 0, unchanged: 0 };
+  for (const r of rows) summary[r.status]++;
+  return { rows, summary };
+}
+
+function timeCounts(items) {
+  const counts = { I: 0, M: 0, T: 0, E: 0 };
+  for (const it of items) if (it.timeCode in counts) counts[it.timeCode]++;
+  return counts;
+}
+
+// /api/customers/:customer/snapshots[/:snapshotId] and /api/customers/:customer/compare
+async function handleSnapshots(req, env, url, auth) {
+  const store = getStore(env);
+  const col = snapshotsCollection(env);
+
+  const parts = url.pathname.split("/").filter(Boolean); // ["api","customers",":customer","snapshots|compare",":snapshotId?"]
+  const sub = parts[3];
+  const snapshotId = parts[4] || null;
+  if (parts.length > (sub === "snapshots" ? 5 : 4)) return json({ ok: false, error: "Not Found" }, 404);
+
+  const role = req.method === "GET" ? "viewer" : req.method === "DELETE" ? "admin" : "editor";
+  const denied = requireRole(auth, role);
+  if (denied) return denied;
+
+  let key;
+  try {
+    key = decodeURIComponent(parts[2] || "").trim();
+  } catch {
+    key = "";
+  }
+  const customer = key ? await customerFromPath(env, key) : null;
+  if (!customer) return json({ ok: false, error: "Customer not found" }, 404);
+
+  const getSnapshot = async (sid) => {
+    const snap = await store.get(col, sid);
+    return snap && snap.customerId === customer._id ? snap : null;
+  };
+
+  // GET /api/customers/:customer/compare?from=<snapshotId|live>&to=<snapshotId|live>
+  if (sub === "compare") {
+    if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+
+    const sides = {};
+    for (const [param, fallback] of [["from", ""], ["to", "live"]]) {
+      const value = (url.searchParams.get(param) || fallback).trim();
+      if (!value) return errorResponse({ [param]: [`${param} is required`] });
+      if (value === "live") {
+        sides[param] = { side: { kind: "live", label: "Live", date: new Date().toISOString().slice(0, 10) }, items: null };
+        continue;
+      }
+      const snap = await getSnapshot(value);
+      if (!snap) return json({ ok: false, error: `Snapshot "${value}" not found for ${customer.customerName}` }, 404);
+      sides[param] = { side: { kind: "snapshot", ...publicSnapshot(snap) }, items: snap.items || [] };
+    }
+
+    for (const s of Object.values(sides)) if (!s.items) s.items = await liveSnapshotItems(env, customer);
+    const { rows, summary } = compareItems(sides.from.items, sides.to.items);
+
+    return json({
+      ok: true,
+      customer: publicCustomer(customer),
+      from: { ...sides.from.side, itemCount: sides.from.items.length, time: timeCounts(sides.from.items) },
+      to: { ...sides.to.side, itemCount: sides.to.items.length, time: timeCounts(sides.to.items) },
+      summary,
+      rows,
+    });
+  }
+
+  // GET /api/customers/:customer/snapshots — newest first, without their items
+  if (req.method === "GET" && !snapshotId) {
+    const rows = await store.list(col, {
+      q: { customerId: customer._id },
+      sort: { date: -1, createdAt: -1 },
+      fields: { customerId: 1, customerName: 1, label: 1, date: 1, itemCount: 1, createdBy: 1, createdAt: 1 },
+    });
+    return json({ ok: true, customer: publicCustomer(customer), snapshots: rows.map(publicSnapshot) });
+  }
+
+  // GET /api/customers/:customer/snapshots/:snapshotId
+  if (req.method === "GET" && snapshotId) {
+    const snap = await getSnapshot(snapshotId);
+    if (!snap) return json({ ok: false, error: "Snapshot not found" }, 404);
+    return json({ ok: true, snapshot: { ...publicSnapshot(snap), items: snap.items || [] } });
+  }
+
+  // POST /api/customers/:customer/snapshots { label, date? } — freeze the live items
+  if (req.method === "POST" && !snapshotId) {
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const errors = {};
+    const label = String(body.label || "").trim();
+    const date = String(body.date || "").trim() || new Date().toISOString().slice(0, 10);
+    if (!label) addError(errors, "label", "label is required");
+    else if (label.length > 120) addError(errors, "label", "label must be at most 120 characters");
+    if (!isIsoDate(date)) addError(errors, "date", "date must be a date (YYYY-MM-DD)");
+    if (hasErrors(errors)) return errorResponse(errors);
+
+    const items = await liveSnapshotItems(env, customer);
+    const snap = await store.create(col, {
+      customerId: customer._id,
+      customerName: customer.customerName,
+      label,
+      date,
+      items,
+      itemCount: items.length,
+      createdBy: auth.user,
+      createdAt: new Date().toISOString(),
+    });
+    return json({ ok: true, snapshot: publicSnapshot(snap) });
+  }
+
+  // DELETE /api/customers/:customer/snapshots/:snapshotId
+  if (req.method === "DELETE" && snapshotId) {
+    const snap = await getSnapshot(snapshotId);
+    if (!snap) return json({ ok: false, error: "Snapshot not found" }, 404);
+    await store.remove(col, snap._id);
+    return json({ ok: true });
+  }
+
+  return json({ ok: false, error: "Method not allowed" }, 405);
+}
+
+/* ----------------------------- ROADMAP ----------------------------- */
+// A customer's target states laid out by the quarter of their target date,
+// with the plans that have no date yet and the Migrate and Eliminate items
+// that still need one. Takes the GET /api/items filters plus status=.
+// Estimated costs are summed per currency, like the spend totals.
+function quarterOf(isoDate) {
+  const [y, m] = isoDate.split("-").map(Number);
+  const q = Math.ceil(m / 3);
+  return {
+    quarter: `${y}-Q${q}`,
+    from: `${y}-${String(q * 3 - 2).padStart(2, "0")}-01`,
+    to: new Date(Date.UTC(y, q * 3, 0)).toISOString().slice(0, 10),
+  };
+}
+
+function roadmapItem(it) {
+  return {
+    _id: it._id,
+    category: it.category,
+    subcategory: it.subcategory || null,
+    solution: it.solution,
+    vendor: it.vendor,
+    timeCode: it.timeCode,
+    timeLabel: it.timeLabel,
+    contractExpiration: it.contractExpiration || null,
+    monthlyCost: it.monthlyCost ?? null,
+    currency: it.currency || null,
+    target: it.target || null,
+    estimatedSavings: estimatedSavings(it),
+  };
+}
+
+// GET /api/customers/:customer/roadmap?status=approved,in-progress
+async function handleRoadmap(req, env, url, auth) {
+  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "viewer");
+  if (denied) return denied;
+
+  const parts = url.pathname.split("/").filter(Boolean); // ["api","customers",":customer","roadmap"]
+  if (parts.length > 4) return json({ ok: false, error: "Not Found" }, 404);
+
+  let key;
+  try {
+    key = decodeURIComponent(parts[2] || "").trim();
+  } catch {
+    key = "";
+  }
+  const customer = key ? await customerFromPath(env, key) : null;
+  if (!customer) return json({ ok: false, error: "Customer not found" }, 404);
+
+  const params = new URLSearchParams(url.searchParams);
+  params.delete("customerName");
+  params.set("customerId", customer._id);
+  const { q, errors } = await itemQueryFromParams(env, params);
+
+  const statuses = String(params.get("status") || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const s of statuses) {
+    if (!TARGET_STATUSES.includes(s)) addError(errors, "status", `status must be one of ${TARGET_STATUSES.join(", ")}`);
+  }
+  if (hasErrors(errors)) return errorResponse(errors);
+
+  const model = await getScoringModel(env);
+  const items = (await getStore(env).list(itemsCollection(env), { q, sort: { category: 1, solution: 1 } })).map((it) =>
+    withTIME(it, model)
+  );
+
+  const quarters = new Map();
+  const unscheduled = [];
+  const unplanned = [];
+  const byStatus = Object.fromEntries(TARGET_STATUSES.map((s) => [s, 0]));
+  let planned = 0;
+  const estimatedCost = {};
+
+  for (const it of items) {
+    const t = it.target;
+    if (!t) {
+      if (it.timeCode === "M" || it.timeCode === "E") unplanned.push(roadmapItem(it));
+      continue;
+    }
+    if (statuses.length && !statuses.includes(t.status)) continue;
+
+    planned++;
+    byStatus[t.status] = (byStatus[t.status] || 0) + 1;
+    const currency = it.currency || defaultCurrency(env);
+    addByCurrency(estimatedCost, currency, t.estimatedCost);
+    if (!t.targetDate) {
+      unscheduled.push(roadmapItem(it));
+      continue;
+    }
+
+    const { quarter, from, to } = quarterOf(t.targetDate);
+    const group = quarters.get(quarter) || { quarter, from, to, estimatedCost: {}, items: [] };
+    group.items.push(roadmapItem(it));
+    addByCurrency(group.estimatedCost, currency, t.estimatedCost);
+    quarters.set(quarter, group);
+  }
+
+  const timeline = [...quarters.values()].sort((a, b) => a.from.localeCompare(b.from));
+  for (const g of timeline) g.items.sort((a, b) => a.target.targetDate.localeCompare(b.target.targetDate));
+
+  return json({
+    ok: true,
+    customer: publicCustomer(customer),
+    quarters: timeline,
+    unscheduled,
+    unplanned,
+    totals: { planned, estimatedCost, byStatus },
+  });
+}
+
+/* ----------------------------- REPORT ----------------------------- */
+// GET /api/report/:customer — a print-ready assessment (customer id or name,
+// plus the GET /api/items filters). Opened in a tab and printed to PDF: a
+// summary page with the TIME quadrant, one page per category and the
+// recommended actions. Works with ?token= so it can be linked directly.
+const TIME_ORDER = ["E", "M", "T", "I"];
+const TIME_COLORS = { I: "#1f9d55", M: "#d97706", T: "#64748b", E: "#dc2626" };
+const TIME_ACTIONS = {
+  E: { label: "Eliminate", advice: "Retire or replace — low technical and functional fit." },
+  M: { label: "Migrate", advice: "Keep the capability, move it to a stronger platform." },
+  T: { label: "Tolerate", advice: "Technically sound; revisit the functional gaps at renewal." },
+  I: { label: "Invest", advice: "Strong fit — renew, expand and standardize on it." },
+};
+const REPORT_RENEWAL_DAYS = 180;
+
+async function handleReport(req, env, url, auth) {
+  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "viewer");
+  if (denied) return denied;
+
+  let key;
+  try {
+    key = decodeURIComponent(url.pathname.split("/").filter(Boolean)[2] || "").trim();
+  } catch {
+    key = "";
+  }
+  if (!key) return json({ ok: false, error: "Customer is required" }, 400);
+
+  const customer = await customerFromPath(env, key);
+
+  const params = new URLSearchParams(url.searchParams);
+  params.delete("customerName");
+  params.delete("customerId");
+  params.set(customer ? "customerId" : "customerName", customer ? customer._id : key);
+
+  const { q, errors } = await itemQueryFromParams(env, params);
+  if (hasErrors(errors)) return errorResponse(errors);
+  const items = await getStore(env).list(itemsCollection(env), { q, sort: { category: 1, solution: 1 } });
+  if (!customer && !items.length) return json({ ok: false, error: "Customer not found" }, 404);
+
+  const model = await getScoringModel(env);
+  const html = reportHtml({
+    customerName: customer ? customer.customerName : key,
+    customer,
+    items: items.map((it) => withTIME(it, model)),
+    categories: await listCategories(env),
+    model,
+    filtered: [...params.keys()].some((k) => k !== "customerId" && k !== "customerName" && k !== "token"),
+    preparedBy: auth.user,
+  });
+  return new Response(html, { headers: { ...HTML_HEADERS, "cache-control": "no-store" } });
+}
+
+// Same layout as the page's quadrant chart: technical fit across, functional
+// fit up, the split on the model's cutoffs. Points carry the item's row number.
+function reportQuadrantSvg(items, model) {
+  const L = 48, T = 12, W = 520, H = 320;
+  const px = (v) => L + ((Number(v) - 0.5) / 5) * W;
+  const py = (v) => T + H - ((Number(v) - 0.5) / 5) * H;
+  const splitX = px(model.cutoffs.technical - 0.5);
+  const splitY = py(model.cutoffs.functional - 0.5);
+
+  const quads = [
+    { code: "M", x: L, y: T, w: splitX - L, h: splitY - T },
+    { code: "I", x: splitX, y: T, w: L + W - splitX, h: splitY - T },
+    { code: "E", x: L, y: splitY, w: splitX - L, h: T + H - splitY },
+    { code: "T", x: splitX, y: splitY, w: L + W - splitX, h: T + H - splitY },
+  ];
+  let svg = `<svg viewBox="0 0 ${L + W + 12} ${T + H + 40}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="TIME quadrant">`;
+  for (const qd of quads) {
+    svg +=
+      `<rect x="${qd.x}" y="${qd.y}" width="${qd.w}" height="${qd.h}" fill="${TIME_COLORS[qd.code]}" fill-opacity="0.08" />` +
+      `<text x="${qd.x + 8}" y="${qd.y + 18}" font-size="13" font-weight="700" fill="${TIME_COLORS[qd.code]}">${qd.code} · ${TIME_ACTIONS[qd.code].label}</text>`;
+  }
+  svg +=
+    `<rect x="${L}" y="${T}" width="${W}" height="${H}" fill="none" stroke="#c8c6c4" />` +
+    `<line x1="${splitX}" y1="${T}" x2="${splitX}" y2="${T + H}" stroke="#999" stroke-dasharray="4 4" />` +
+    `<line x1="${L}" y1="${splitY}" x2="${L + W}" y2="${splitY}" stroke="#999" stroke-dasharray="4 4" />`;
+  for (let n = 1; n <= 5; n++) {
+    svg +=
+      `<text x="${px(n)}" y="${T + H + 16}" font-size="11" fill="#666" text-anchor="middle">${n}</text>` +
+      `<text x="${L - 8}" y="${py(n) + 4}" font-size="11" fill="#666" text-anchor="end">${n}</text>`;
+  }
+  svg +=
+    `<text x="${L + W / 2}" y="${T + H + 34}" font-size="12" fill="#444" text-anchor="middle">Technical fit</text>` +
+    `<text x="14" y="${T + H / 2}" font-size="12" fill="#444" text-anchor="middle" transform="rotate(-90 14 ${T + H / 2})">Functional fit</text>`;
+
+  // Items with the same fits fan out around the cell centre.
+  const cells = new Map();
+  items.forEach((it, i) => {
+    const k = `${it.technicalFit}/${it.functionalFit}`;
+    cells.set(k, [...(cells.get(k) || []), i]);
+  });
+  for (const members of cells.values()) {
+    members.forEach((idx, j) => {
+      const it = items[idx];
+      let cx = px(it.technicalFit);
+      let cy = py(it.functionalFit);
+      if (members.length > 1) {
+        const angle = (2 * Math.PI * j) / members.length;
+        const r = Math.min(28, 10 + members.length * 3);
+        cx += Math.cos(angle) * r;
+        cy += Math.sin(angle) * r;
+      }
+      svg +=
+        `<circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="9" fill="${TIME_COLORS[it.timeCode] || "#64748b"}" stroke="#fff" stroke-width="1.5" />` +
+        `<text x="${cx.toFixed(1)}" y="${(cy + 3.5).toFixed(1)}" font-size="10" font-weight="700" fill="#fff" text-anchor="middle">${idx + 1}</text>`;
+    });
+  }
+  return `${svg}</svg>`;
+}
+
+function reportHtml({ customerName, customer, items, categories, model, filtered, preparedBy }) {
+  const e = (v) => escapeHtml(v == null ? "" : v);
+  const today = new Date().toISOString().slice(0, 10);
+  const daysUntil = (d) => Math.round((Date.parse(d) - Date.parse(today)) / DAY_MS);
+  const pill = (code) => `<span class="time ${e(code)}">${e(code)}</span>`;
+
+  // Categories in taxonomy order, then any the taxonomy no longer lists.
+  const order = categories.map((c) => c.name);
+  const groups = new Map();
+  for (const name of order) groups.set(name, []);
+  for (const it of items) {
+    if (!groups.has(it.category)) groups.set(it.category, []);
+    groups.get(it.category).push(it);
+  }
+  const sections = [...groups.entries()].filter(([, list]) => list.length);
+  // Row numbers follow the printed order so the quadrant labels match the tables.
+  const numbered = sections.flatMap(([, list]) => list);
+  const number = new Map(numbered.map((it, i) => [it, i + 1]));
+
+  const time = { I: 0, M: 0, T: 0, E: 0 };
+  for (const it of items) time[it.timeCode]++;
+
+  const summaryRows = sections
+    .map(([name, list]) => {
+      const counts = { I: 0, M: 0, T: 0, E: 0 };
+      for (const it of list) counts[it.timeCode]++;
+      const avg = (f) => round1(list.reduce((s, it) => s + Number(it[f] || 0), 0) / list.length);
+      const next = list
+        .map((it) => it.contractExpiration)
+        .filter(Boolean)
+        .sort()[0];
+      return (
+        `<tr><td>${e(name)}</td><td class="num">${list.length}</td>` +
+        TIME_ORDER.map((c) => `<td class="num">${counts[c] || ""}</td>`).join("") +
+        `<td class="num">${avg("technicalFit")} / ${avg("functionalFit")}</td><td>${e(next || "—")}</td></tr>`
+      );
+    })
+    .join("");
+
+  const categoryPages = sections
+    .map(([name, list]) => {
+      const rows = list
+        .map(
+          (it) =>
+            `<tr><td class="num">${number.get(it)}</td>` +
+            `<td><b>${e(it.solution)}</b><div class="muted">${e(it.vendor)}${it.subcategory ? ` · ${e(it.subcategory)}` : ""}</div></td>` +
+            `<td>${pill(it.timeCode)} ${e(it.timeLabel)}<div class="muted">${e(it.technicalFit)} / ${e(it.functionalFit)}</div></td>` +
+            `<td>${e(it.dateImplemented || "—")}</td><td>${e(it.contractExpiration || "—")}</td>` +
+            `<td class="notes">${e(it.notes)}</td></tr>`
+        )
+        .join("");
+      return (
+        `<section class="page"><h2>${e(name)}</h2>` +
+        `<table><thead><tr><th style="width:28px">#</th><th>Solution</th><th style="width:110px">TIME · Fit (T/F)</th>` +
+        `<th style="width:82px">Implemented</th><th style="width:82px">Expires</th><th>Notes</th></tr></thead>` +
+        `<tbody>${rows}</tbody></table></section>`
+      );
+    })
+    .join("");
+
+  const actions = TIME_ORDER.filter((code) => time[code])
+    .map((code) => {
+      const list = numbered
+        .filter((it) => it.timeCode === code)
+        .map((it) => {
+          const left = it.contractExpiration ? daysUntil(it.contractExpiration) : null;
+          const renewal =
+            left != null && left >= 0 && left <= REPORT_RENEWAL_DAYS
+              ? ` <span class="flag">Contract expires ${e(it.contractExpiration)} (in ${left} day${left === 1 ? "" : "s"}) — decide before renewal.</span>`
+              : "";
+          return `<li><b>#${number.get(it)} ${e(it.solution)}</b>${it.vendor ? ` (${e(it.vendor)})` : ""} — ${e(it.category)}${renewal}</li>`;
+        })
+        .join("");
+      return `<div class="action"><h3>${pill(code)} ${TIME_ACTIONS[code].label}</h3><p class="muted">${TIME_ACTIONS[code].advice}</p><ul>${list}</ul></div>`;
+    })
+    .join("");
+
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${e(customerName)} — Technology Assessment</title>
+  <style>
+    @page { size: letter; margin: 14mm; }
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; color: #111; margin: 24px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    h1 { margin: 0 0 4px; font-size: 24px; }
+    h2 { font-size: 18px; margin: 0 0 10px; border-bottom: 2px solid #111; padding-bottom: 4px; }
+    h3 { font-size: 15px; margin: 0 0 4px; display: flex; align-items: center; gap: 8px; }
+    .muted { color: #666; font-size: 12px; }
+    .page { break-before: page; page-break-before: always; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; overflow-wrap: anywhere; }
+    th { font-size: 11px; color: #444; }
+    thead { display: table-header-group; }
+    tr, .action li { break-inside: avoid; page-break-inside: avoid; }
+    .num { text-align: right; }
+    .notes { white-space: pre-wrap; }
+    .tiles { display: flex; gap: 10px; margin: 14px 0; }
+    .tile { flex: 1; border: 1px solid #ddd; border-radius: 10px; padding: 8px 10px; }
+    .tile b { font-size: 20px; display: block; }
+    .time { font-weight: 800; width: 20px; height: 20px; border-radius: 6px; display: inline-flex; align-items: center; justify-content: center; color: #fff; font-size: 12px; }
+    .I { background: ${TIME_COLORS.I}; } .M { background: ${TIME_COLORS.M}; } .T { background: ${TIME_COLORS.T}; } .E { background: ${TIME_COLORS.E}; }
+    .chart { max-width: 560px; margin-top: 12px; }
+    .action { margin-bottom: 14px; }
+    .action ul { margin: 6px 0 0; padding-left: 18px; font-size: 13px; }
+    .action li { margin-bottom: 4px; }
+    .flag { display: block; color: #b45309; font-size: 12px; }
+    .toolbar { position: fixed; top: 12px; right: 12px; }
+    @media print { .toolbar { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+
+  <header>
+    <div class="muted">Technology Assessment</div>
+    <h1>${e(customerName)}</h1>
+    <div class="muted">
+      ${customer && customer.dynamicsAccountId ? `Dynamics account ${e(customer.dynamicsAccountId)} · ` : ""}${items.length} solution${items.length === 1 ? "" : "s"}
+      · prepared ${e(today)}${preparedBy ? ` by ${e(preparedBy)}` : ""}${filtered ? " · filtered view" : ""}
+    </div>
+  </header>
+
+  <div class="tiles">
+    ${TIME_ORDER.map((c) => `<div class="tile">${pill(c)} ${TIME_ACTIONS[c].label}<b>${time[c]}</b></div>`).join("")}
+  </div>
+
+  <h2>Summary by category</h2>
+  <table>
+    <thead><tr><th>Category</th><th class="num">Items</th>${TIME_ORDER.map((c) => `<th class="num">${c}</th>`).join("")}<th class="num">Avg fit (T/F)</th><th>Next expiration</th></tr></thead>
+    <tbody>${summaryRows || `<tr><td colspan="8" class="muted">No solutions recorded yet.</td></tr>`}</tbody>
+  </table>
+
+  <div class="chart">${reportQuadrantSvg(numbered, model)}</div>
+  <div class="muted">High fit is ${e(model.cutoffs.technical)}+ technical and ${e(model.cutoffs.functional)}+ functional. Numbers match the rows in the category tables.</div>
+
+  ${categoryPages}
+
+  <section class="page">
+    <h2>Recommended actions</h2>
+    ${actions || `<p class="muted">No solutions recorded yet.</p>`}
+  </section>
+</body>
+</html>`;
+}
+
+/* ----------------------------- IMPORT ----------------------------- */
+// POST /api/import[?dryRun=1&customerName=...] with a CSV body (text/csv, or JSON { csv }).
+// Columns are matched by header — the export's headers or the field names, in
+// any case — so an export can be edited and re-imported. Each row is checked
+// by validateItem, like POST /api/items; accepted rows are saved unless
+// dryRun, rejected rows are only reported.
+const MAX_IMPORT_ROWS = 250;
+
+const IMPORT_FIELDS = [
+  "customerName",
+  "customerId",
+  "category",
+  "subcategory",
+  "solution",
+  "solutionId",
+  "vendor",
+  "vendorId",
+  "technicalFit",
+  "functionalFit",
+  "dateImplemented",
+  "contractExpiration",
+  "notes",
+  "monthlyCost",
+  "oneTimeCost",
+  "seats",
+  "currency",
+];
+
+function csvImportValue(v) {
+  const s = String(v);
+  return s.startsWith("'") && CSV_FORMULA_GUARD.test(s) ? s.slice(1) : s;
+}
+
+function headerKey(h) {
+  return String(h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function importColumns(headers) {
+  const byKey = new Map();
+  for (const f of IMPORT_FIELDS) byKey.set(headerKey(f), f);
+  for (const c of EXPORT_COLUMNS) {
+    if (IMPORT_FIELDS.includes(c.key)) byKey.set(headerKey(c.header), c.key);
+  }
+  return headers.map((h) => byKey.get(headerKey(h)) || null);
+}
+
+function parseCsv(text) {
+  const s = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((v) => String(v).trim() !== ""));
+}
+
+async function handleImport(req, env, url, auth) {
+  if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "editor");
+  if (denied) return denied;
+
+  const dryRun = ["1", "true"].includes(String(url.searchParams.get("dryRun") || "").toLowerCase());
+  const defaultCustomer = (url.searchParams.get("customerName") || "").trim();
+
+  let text = "";
+  if ((req.headers.get("content-type") || "").includes("application/json")) {
+    const body = await req.json().catch(() => null);
+    text = body && body.csv ? String(body.csv) : "";
+  } else {
+    text = await req.text();
+  }
+  if (!text.trim()) return json({ ok: false, error: "CSV body is required" }, 400);
+
+  const [headers = [], ...data] = parseCsv(text);
+  const columns = importColumns(headers);
+
+  const required = ["category", "solution", "technicalFit", "functionalFit"];
+  if (!defaultCustomer) required.unshift("customerName");
+  const missing = required.filter((f) => !columns.includes(f) && !(f === "customerName" && columns.includes("customerId")));
+  if (missing.length) {
+    return json({ ok: false, error: `Missing columns: ${missing.join(", ")}`, headers, recognized: columns }, 400);
+  }
+  if (!data.length) return json({ ok: false, error: "The CSV has no data rows" }, 400);
+  if (data.length > MAX_IMPORT_ROWS) {
+    return json({ ok: false, error: `Import at most ${MAX_IMPORT_ROWS} rows at a time (got ${data.length})` }, 400);
+  }
+
+  const model = await getScoringModel(env);
+  const categories = await listCategories(env);
+  const catalog = await listCatalog(env);
+  const knownCustomers = new Map();
+  const rows = [];
+
+  for (let i = 0; i < data.length; i++) {
+    const raw = {};
+    columns.forEach((f, ci) => {
+      if (f) raw[f] = csvImportValue(data[i][ci] ?? "");
+    });
+    if (!String(raw.customerName || "").trim() && !String(raw.customerId || "").trim()) raw.customerName = defaultCustomer;
+
+    const validated = await validateItem(env, raw, { model, categories, catalog });
+    const input = validated.input;
+    const errors = Object.values(validated.errors).flat();
+
+    const report = {
+      row: i + 1,
+      status: errors.length ? "rejected" : "accepted",
+      errors,
+      item: {
+        customerName: input.customerName,
+        category: input.category,
+        solution: input.solution,
+        vendor: input.vendor,
+        technicalFit: input.technicalFit,
+        functionalFit: input.functionalFit,
+        timeCode: errors.length ? null : input.timeCode,
+        timeLabel: errors.length ? null : input.timeLabel,
+      },
+    };
+    rows.push(report);
+    if (errors.length) continue;
+
+    const key = input.customerId ? `id:${input.customerId}` : customerKey(input.customerName);
+    if (dryRun) {
+      if (!knownCustomers.has(key)) {
+        knownCustomers.set(
+          key,
+          input.customerId ? await getCustomer(env, input.customerId) : await findCustomerByName(env, input.customerName)
+        );
+      }
+      const existing = knownCustomers.get(key);
+      if (existing) report.item.customerName = existing.customerName;
+      else if (input.customerId) {
+        report.status = "rejected";
+        report.errors.push("Unknown customerId");
+      } else report.newCustomer = true;
+      continue;
+    }
+
+    try {
+      let customer = knownCustomers.get(key);
+      if (!customer) {
+        const resolved = await resolveItemCustomer(env, auth, input.customerId, input.customerName);
+        if (resolved.error) {
+          report.status = "rejected";
+          report.errors.push(resolved.error);
+          continue;
+        }
+        customer = resolved.customer;
+        knownCustomers.set(key, customer);
+      }
+
+      const item = await createItem(env, auth, input, customer);
+      report.status = "created";
+      report.itemId = item && item._id;
+      report.item.customerName = customer.customerName;
+    } catch (e) {
+      report.status = "failed";
+      report.errors.push(e instanceof StoreError ? `Storage error (${e.status})` : String(e.message || e));
+    }
+  }
+
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  return json({
+    ok: true,
+    dryRun,
+    total: rows.length,
+    accepted: count("accepted"),
+    created: count("created"),
+    rejected: count("rejected"),
+    failed: count("failed"),
+    rows,
+  });
+}
+
+/* ----------------------------- API ----------------------------- */
+async function handleApi(req, env, url) {
+  try {
+    return await routeApi(req, env, url);
+  } catch (e) {
+    if (e instanceof StoreError) return json({ ok: false, error: e.detail }, e.status);
+    if (e instanceof CrmError) return json({ ok: false, error: e.message }, e.status);
+    return json({ ok: false, error: String(e.message || e) }, 500);
+  }
+}
+
+async function routeApi(req, env, url) {
+  const auth = await authenticate(req, env, url);
+  if (!auth) {
+    return json({ ok: false, error: "Unauthorized" }, 401, { "www-authenticate": 'Bearer realm="technology-matrix"' });
+  }
+
+  // /api/me
+  if (url.pathname === "/api/me") {
+    return json({ ok: true, user: auth.user, role: auth.role, team: auth.team });
+  }
+
+  // /api/auth/token
+  if (url.pathname === "/api/auth/token") {
+    return handleAuthToken(req, env, auth);
+  }
+
+  // /api/items, /api/items/:id
+  if (url.pathname.startsWith("/api/items")) {
+    return handleItems(req, env, url, auth);
+  }
+
+  // /api/export?format=csv|xlsx
+  if (url.pathname === "/api/export") {
+    return handleExport(req, env, url, auth);
+  }
+
+  // /api/scoring-model, /api/scoring-model/evaluate
+  if (url.pathname === "/api/scoring-model" || url.pathname.startsWith("/api/scoring-model/")) {
+    return handleScoringModel(req, env, url, auth);
+  }
+
+  // /api/categories, /api/categories/:id[/merge]
+  if (url.pathname === "/api/categories" || url.pathname.startsWith("/api/categories/")) {
+    return handleCategories(req, env, url, auth);
+  }
+
+  // /api/catalog, /api/catalog/unmatched, /api/catalog/:id[/merge]
+  if (url.pathname === "/api/catalog" || url.pathname.startsWith("/api/catalog/")) {
+    return handleCatalog(req, env, url, auth);
+  }
+
+  // /api/renewals, /api/renewals/digest
+  if (url.pathname === "/api/renewals" || url.pathname.startsWith("/api/renewals/")) {
+    return handleRenewals(req, env, url, auth);
+  }
+
+  // /api/search
+  if (url.pathname === "/api/search") {
+    return handleSearch(req, env, url, auth);
+  }
+
+  // /api/stats
+  if (url.pathname === "/api/stats") {
+    return handleStats(req, env, url, auth);
+  }
+
+  // /api/crm/sync, /api/crm/log
+  if (url.pathname.startsWith("/api/crm/")) {
+    return handleCrm(req, env, url, auth);
+  }
+
+  // /api/report/:customer
+  if (url.pathname.startsWith("/api/report/")) {
+    return handleReport(req, env, url, auth);
+  }
+
+  // /api/import
+  if (url.pathname === "/api/import") {
+    return handleImport(req, env, url, auth);
+  }
+
+  // /api/customers, /api/customers/reindex
+  if (url.pathname === "/api/customers" || url.pathname.startsWith("/api/customers/")) {
+    return handleCustomers(req, env, url, auth);
+  }
+
+  return json({ ok: false, error: "Not Found" }, 404);
+}
+
+async function handleItems(req, env, url, auth) {
+  const store = getStore(env);
+  const col = itemsCollection(env);
+
+  const parts = url.pathname.split("/").filter(Boolean); // ["api","items",":id?","history?"]
+  const id = parts[2] || null;
+  const sub = parts[3] || null;
+
+  // Every caller can read; writes need editor, deletes are checked per item below.
+  const denied = requireRole(auth, req.method === "GET" ? "viewer" : "editor");
+  if (denied) return denied;
+
+  // GET /api/items/:id/history
+  if (id && sub === "history") {
+    return handleItemHistory(req, env, id);
+  }
+
+  // POST /api/items/purge
+  if (id === "purge" && !sub) {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+    const notAdmin = requireRole(auth, "admin");
+    if (notAdmin) return notAdmin;
+    return purgeDeletedItems(env, auth);
+  }
+
+  // POST /api/items/:id/restore
+  if (id && sub === "restore") {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+
+    const existing = await store.get(col, id);
+    if (!existing) return json({ ok: false, error: "Item not found" }, 404);
+    if (!existing.deletedAt) return json({ ok: false, error: "Item is not deleted" }, 409);
+    if (!canChangeItem(auth, existing)) {
+      return json({ ok: false, error: "Only admins can restore another team's items" }, 403);
+    }
+
+    const patch = { deletedAt: null, deletedBy: null, updatedBy: auth.user, updatedAt: new Date().toISOString() };
+    const item = await store.update(col, id, patch);
+    await adjustCustomerCount(env, existing.customerId, 1);
+    await recordHistory(env, auth, "restore", id, existing, { ...existing, ...patch });
+    return json({ ok: true, item });
+  }
+
+  if (sub) return json({ ok: false, error: "Not Found" }, 404);
+
+  // GET /api/items?customerName=...&category=...&deleted=1&sort=-vendor&fields=solution,vendor,risks&skip=0&limit=50
+  if (req.method === "GET" && !id) {
+    const deleted = url.searchParams.get("deleted") === "1";
+    const { q, customer, errors: filterErrors } = await itemQueryFromParams(env, url.searchParams);
+    const { sort, skip, limit, fields, errors } = itemListOptions(url.searchParams, deleted);
+    if (hasErrors({ ...filterErrors, ...errors })) return errorResponse({ ...filterErrors, ...errors });
+
+    // Re-scoring needs the fits and sub-scores even when only timeCode was asked
+    // for; risks and estimatedSavings (not stored fields) need what they come from.
+    let stored = fields;
+    if (fields) {
+      stored = { ...fields };
+      delete stored.risks;
+      delete stored.estimatedSavings;
+      if (ITEM_SCORE_FIELDS.some((f) => fields[f])) for (const f of ITEM_SCORE_FIELDS) stored[f] = 1;
+      if (fields.risks) for (const f of ITEM_RISK_FIELDS) stored[f] = 1;
+      if (fields.estimatedSavings) for (const f of ITEM_SAVINGS_FIELDS) stored[f] = 1;
+    }
+
+    const rows = await store.list(col, { q, sort, skip, max: limit ? limit + 1 : 0, fields: stored });
+    const page = limit ? rows.slice(0, limit) : rows;
+    const hasMore = limit ? rows.length > limit : false;
+    const total = hasMore || (skip && !page.length) ? await store.count(col, q) : skip + page.length;
+
+    const model = await getScoringModel(env);
+    const risk = await riskContext(env);
+    const items = page.map((it) => {
+      if (!fields) return withSavings(withRisks(withTIME(it, model), risk));
+      const scored = ITEM_SCORE_FIELDS.some((f) => fields[f]) ? withTIME(it, model) : it;
+      const flagged = fields.risks ? withRisks(scored, risk) : scored;
+      return project(fields.estimatedSavings ? withSavings(flagged) : flagged, fields);
+    });
+
+    // spend=1 adds cost totals over every matching item, not just this page.
+    let spend;
+    if (url.searchParams.get("spend") === "1") {
+      spend = spendTotals(env, await store.list(col, { q, fields: Object.fromEntries(SPEND_FIELDS.map((f) => [f, 1])) }));
+    }
+
+    return json({
+      ok: true,
+      items,
+      total,
+      skip,
+      limit: limit || null,
+      hasMore,
+      customer: customer ? publicCustomer(customer) : null,
+      ...(spend ? { spend } : {}),
+    });
+  }
+
+  // POST /api/items
+  if (req.method === "POST" && !id) {
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const { input, errors } = await validateItem(env, body, { model: await getScoringModel(env) });
+    if (hasErrors(errors)) return errorResponse(errors);
+
+    const { customer, error } = await resolveItemCustomer(env, auth, input.customerId, input.customerName);
+    if (error) return errorResponse({ [input.customerId ? "customerId" : "customerName"]: [error] });
+
+    const item = await createItem(env, auth, input, customer);
+    return json({ ok: true, item }, 200, { etag: itemEtag(item) });
+  }
+
+  // PUT /api/items/:id (whole item) or PATCH /api/items/:id (only the fields sent)
+  if ((req.method === "PUT" || req.method === "PATCH") && id) {
+    const body = await req.json().catch(() => null);
+    if (!body || typeof body !== "object" || Array.isArray(body)) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const before = await store.get(col, id);
+    if (!before) return json({ ok: false, error: "Item not found" }, 404);
+    if (before.deletedAt) return json({ ok: false, error: "Item is deleted; restore it first" }, 409);
+    if (!canChangeItem(auth, before)) {
+      return json({ ok: false, error: "Only admins can edit another team's items" }, 403);
+    }
+
+    const model = await getScoringModel(env);
+    if (!etagMatches(req.headers.get("if-match"), before)) {
+      return json(
+        { ok: false, error: "Item was changed by someone else", conflict: true, item: withTIME(before, model) },
+        409,
+        { etag: itemEtag(before) }
+      );
+    }
+
+    const source = req.method === "PATCH" ? patchSource(before, body) : body;
+    const { input, errors } = await validateItem(env, source, { model, current: before });
+    if (hasErrors(errors)) return errorResponse(errors);
+
+    const { customer, error } = await resolveItemCustomer(env, auth, input.customerId, input.customerName);
+    if (error) return errorResponse({ [input.customerId ? "customerId" : "customerName"]: [error] });
+
+    const patch = { ...itemFields(input, customer), updatedBy: auth.user, updatedAt: new Date().toISOString() };
+
+    const item = await store.update(col, id, patch);
+    if (before.customerId !== customer._id) {
+      await adjustCustomerCount(env, before.customerId, -1);
+      await adjustCustomerCount(env, customer._id, 1);
+    }
+    await recordHistory(env, auth, "update", id, before, { ...before, ...patch });
+    return json({ ok: true, item }, 200, { etag: itemEtag(patch) });
+  }
+
+  // DELETE /api/items/:id — soft delete; admins, or an editor deleting their own team's item
+  if (req.method === "DELETE" && id) {
+    const existing = await store.get(col, id);
+    if (!existing) return json({ ok: false, error: "Item not found" }, 404);
+    if (existing.deletedAt) return json({ ok: true });
+
+    if (!canChangeItem(auth, existing)) {
+      return json({ ok: false, error: "Only admins can delete another team's items" }, 403);
+    }
+
+    const now = new Date().toISOString();
+    const patch = { deletedAt: now, deletedBy: auth.user, updatedBy: auth.user, updatedAt: now };
+
+    await store.update(col, id, patch);
+    await adjustCustomerCount(env, existing.customerId, -1);
+    await recordHistory(env, auth, "delete", id, existing, { ...existing, ...patch });
+    return json({ ok: true });
+  }
+
+  return json({ ok: false, error: "Method not allowed" }, 405);
+}
+
+async function handleCustomers(req, env, url, auth) {
+  const store = getStore(env);
+  const col = customersCollection(env);
+
+  const parts = url.pathname.split("/").filter(Boolean); // ["api","customers",":id?","merge|snapshots|compare|roadmap?"]
+  const id = parts[2] || null;
+  const sub = parts[3] || null;
+
+  // POST /api/customers/reindex
+  if (id === "reindex" && !sub) {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+    const denied = requireRole(auth, "admin");
+    if (denied) return denied;
+
+    const customers = await reindexCustomers(env, auth);
+    return json({ ok: true, customers });
+  }
+
+  // GET /api/customers/resolve?accountId=...&customerId=...&name=...
+  if (id === "resolve" && !sub) {
+    if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+    const denied = requireRole(auth, "viewer");
+    if (denied) return denied;
+
+    const accountId = normalizeGuid(url.searchParams.get("accountId"));
+    const customerId = (url.searchParams.get("customerId") || "").trim();
+    const name = (url.searchParams.get("name") || "").trim();
+
+    const customer =
+      (accountId && (await findCustomerByAccount(env, accountId))) ||
+      (customerId && (await getCustomer(env, customerId))) ||
+      (name && (await findCustomerByName(env, name))) ||
+      null;
+    if (!customer) return json({ ok: false, error: "Customer not found" }, 404);
+    return json({ ok: true, customer: publicCustomer(customer) });
+  }
+
+  // /api/customers/:customer/snapshots[/:snapshotId], /api/customers/:customer/compare
+  if (id && (sub === "snapshots" || sub === "compare")) {
+    return handleSnapshots(req, env, url, auth);
+  }
+
+  // /api/customers/:customer/roadmap
+  if (id && sub === "roadmap") {
+    return handleRoadmap(req, env, url, auth);
+  }
+
+  // POST /api/customers/:id/merge { sourceId } — fold another customer into this one
+  if (id && sub === "merge") {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+    const denied = requireRole(auth, "admin");
+    if (denied) return denied;
+
+    const body = await req.json().catch(() => null);
+    if (!body || !body.sourceId) return json({ ok: false, error: "sourceId is required" }, 400);
+
+    const target = await getCustomer(env, id);
+    const source = await getCustomer(env, String(body.sourceId));
+    if (!target || !source) return json({ ok: false, error: "Customer not found" }, 404);
+    if (target._id === source._id) return json({ ok: false, error: "Cannot merge a customer into itself" }, 400);
+    if (target.dynamicsAccountId && source.dynamicsAccountId && target.dynamicsAccountId !== source.dynamicsAccountId) {
+      return json({ ok: false, error: "Both customers are linked to different Dynamics accounts" }, 409);
+    }
+
+    const moved = await repointItems(env, auth, source, target, "merge");
+    const aliases = cleanAliases([...(target.aliases || []), source.customerName, ...(source.aliases || [])], target.customerName);
+    const now = new Date().toISOString();
+
+    // The source stays behind as a tombstone so its old id still resolves.
+    await store.update(col, source._id, { mergedInto: target._id, dynamicsAccountId: null, count: 0, updatedAt: now });
+    const merged = await store.update(col, target._id, {
+      aliases,
+      aliasKeys: aliases.map(customerKey),
+      dynamicsAccountId: target.dynamicsAccountId || source.dynamicsAccountId || null,
+      count: Number(target.count || 0) + Number(source.count || 0),
+      updatedAt: now,
+    });
+
+    return json({ ok: true, customer: publicCustomer(merged), movedItems: moved });
+  }
+
+  if (sub) return json({ ok: false, error: "Not Found" }, 404);
+
+  // GET /api/customers/:id
+  if (req.method === "GET" && id) {
+    const denied = requireRole(auth, "viewer");
+    if (denied) return denied;
+
+    const customer = await getCustomer(env, id);
+    if (!customer) return json({ ok: false, error: "Customer not found" }, 404);
+    return json({ ok: true, customer: publicCustomer(customer) });
+  }
+
+  // POST /api/customers { customerName, dynamicsAccountId?, aliases? }
+  if (req.method === "POST" && !id) {
+    const denied = requireRole(auth, "editor");
+    if (denied) return denied;
+
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const customerName = String(body.customerName || "").trim();
+    const dynamicsAccountId = normalizeGuid(body.dynamicsAccountId);
+    if (!customerName) return json({ ok: false, error: "customerName is required" }, 400);
+    if (dynamicsAccountId === null) return json({ ok: false, error: "dynamicsAccountId must be a GUID" }, 400);
+
+    const clash = await findCustomerByName(env, customerName);
+    if (clash) return json({ ok: false, error: "A customer with that name or alias already exists", customer: publicCustomer(clash) }, 409);
+    const accountClash = await findCustomerByAccount(env, dynamicsAccountId);
+    if (accountClash) return json({ ok: false, error: "That Dynamics account is already linked", customer: publicCustomer(accountClash) }, 409);
+    const aliasClash = await findAliasClash(env, cleanAliases(body.aliases, customerName));
+    if (aliasClash) return json({ ok: false, error: "An alias matches another customer", customer: publicCustomer(aliasClash) }, 409);
+
+    const customer = await createCustomer(env, auth, { customerName, dynamicsAccountId, aliases: body.aliases });
+    return json({ ok: true, customer: publicCustomer(customer) });
+  }
+
+  // PUT /api/customers/:id { customerName?, dynamicsAccountId?, aliases? } — renames re-point items
+  if (req.method === "PUT" && id) {
+    const denied = requireRole(auth, "editor");
+    if (denied) return denied;
+
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const existing = await getCustomer(env, id);
+    if (!existing) return json({ ok: false, error: "Customer not found" }, 404);
+
+    const customerName = body.customerName != null ? String(body.customerName).trim() : existing.customerName;
+    if (!customerName) return json({ ok: false, error: "customerName is required" }, 400);
+
+    const dynamicsAccountId =
+      body.dynamicsAccountId !== undefined ? normalizeGuid(body.dynamicsAccountId) : existing.dynamicsAccountId || "";
+    if (dynamicsAccountId === null) return json({ ok: false, error: "dynamicsAccountId must be a GUID" }, 400);
+
+    const clash = await findCustomerByName(env, customerName, existing._id);
+    if (clash) {
+      return json({ ok: false, error: "Another customer already uses that name; merge them instead", customer: publicCustomer(clash) }, 409);
+    }
+    const accountClash = await findCustomerByAccount(env, dynamicsAccountId, existing._id);
+    if (accountClash) return json({ ok: false, error: "That Dynamics account is already linked", customer: publicCustomer(accountClash) }, 409);
+
+    const renamed = customerName !== existing.customerName;
+    // The old name becomes an alias so existing links and habits still find the customer.
+    const aliases = cleanAliases(
+      [...(body.aliases !== undefined ? cleanAliases(body.aliases, customerName) : existing.aliases || []), ...(renamed ? [existing.customerName] : [])],
+      customerName
+    );
+    const aliasClash = await findAliasClash(env, aliases, existing._id);
+    if (aliasClash) return json({ ok: false, error: "An alias matches another customer", customer: publicCustomer(aliasClash) }, 409);
+
+    // A rename rewrites customerName on every item, so it follows the item ownership rule.
+    if (renamed && !hasRole(auth, "admin")) {
+      const items = await getStore(env).list(itemsCollection(env), { q: customerItemsClause(existing) });
+      if (items.some((it) => !canChangeItem(auth, it))) {
+        return json({ ok: false, error: "Only admins can rename a customer with another team's items" }, 403);
+      }
+    }
+
+    const customer = await store.update(col, existing._id, {
+      customerName,
+      nameKey: customerKey(customerName),
+      aliases,
+      aliasKeys: aliases.map(customerKey),
+      dynamicsAccountId: dynamicsAccountId || null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    const movedItems = renamed ? await repointItems(env, auth, existing, customer, "rename") : 0;
+    return json({ ok: true, customer: publicCustomer(customer), movedItems });
+  }
+
+  if (id) return json({ ok: false, error: "Method not allowed" }, 405);
+  if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+  const denied = requireRole(auth, "viewer");
+  if (denied) return denied;
+
+  // GET /api/customers?prefix=...&skip=0&limit=100
+  const prefix = customerKey(url.searchParams.get("prefix"));
+  const skip = Math.max(0, Math.floor(Number(url.searchParams.get("skip")) || 0));
+  const limit = Math.min(500, Math.max(1, Math.floor(Number(url.searchParams.get("limit")) || 100)));
+
+  const q = { mergedInto: null, count: { $gt: 0 } };
+  if (prefix) q.nameKey = { $regex: `^${escapeRegex(prefix)}` };
+
+  const page = () => store.list(col, { q, sort: { nameKey: 1 }, skip, max: limit + 1 });
+  let rows = await page();
+
+  // First request after deploying the customers collection: build it from the items once.
+  if (!rows.length && !prefix && !skip && !(await store.list(col, { max: 1 })).length) {
+    await reindexCustomers(env, auth);
+    rows = await page();
+  }
+
+  const listed = rows.slice(0, limit);
+  const risks = await customerRiskCounts(env, listed.map((c) => c._id));
+  const customers = listed.map((c) => ({ ...publicCustomer(c), risks: risks.get(c._id) }));
+  return json({ ok: true, customers, skip, limit, hasMore: rows.length > limit });
+}
+
+async function handleCategories(req, env, url, auth) {
+  const store = getStore(env);
+  const col = categoriesCollection(env);
+
+  const parts = url.pathname.split("/").filter(Boolean); // ["api","categories",":id?","merge?"]
+  const id = parts[2] || null;
+  const sub = parts[3] || null;
+
+  const denied = requireRole(auth, req.method === "GET" ? "viewer" : "admin");
+  if (denied) return denied;
+
+  const categories = await listCategories(env);
+  const byId = (cid) => categories.find((c) => c._id === cid) || null;
+  const clashing = (name, exceptId) => categories.find((c) => c.nameKey === categoryKey(name) && c._id !== exceptId) || null;
+
+  // POST /api/categories/:id/merge { sourceId } — fold another category into this one
+  if (id && sub === "merge") {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+
+    const body = await req.json().catch(() => null);
+    if (!body || !body.sourceId) return json({ ok: false, error: "sourceId is required" }, 400);
+
+    const target = byId(id);
+    const source = byId(String(body.sourceId));
+    if (!target || !source) return json({ ok: false, error: "Category not found" }, 404);
+    if (target._id === source._id) return json({ ok: false, error: "Cannot merge a category into itself" }, 400);
+
+    const moved = await repointCategoryItems(env, auth, source.name, target.name, "merge");
+    const now = new Date().toISOString();
+
+    // Like merged customers, the source is kept as a tombstone rather than removed.
+    await store.update(col, source._id, { mergedInto: target._id, retiredAt: source.retiredAt || now, updatedAt: now });
+    const merged = await store.update(col, target._id, {
+      subcategories: cleanAliases([...(target.subcategories || []), ...(source.subcategories || [])], ""),
+      updatedAt: now,
+    });
+
+    return json({ ok: true, category: publicCategory(merged), movedItems: moved });
+  }
+
+  if (sub) return json({ ok: false, error: "Not Found" }, 404);
+
+  // GET /api/categories?includeRetired=1
+  if (req.method === "GET" && !id) {
+    const includeRetired = url.searchParams.get("includeRetired") === "1";
+    const list = includeRetired ? categories : categories.filter((c) => !c.retiredAt);
+    return json({ ok: true, categories: list.map(publicCategory) });
+  }
+
+  // GET /api/categories/:id
+  if (req.method === "GET" && id) {
+    const category = byId(id);
+    if (!category) return json({ ok: false, error: "Category not found" }, 404);
+    return json({ ok: true, category: publicCategory(category) });
+  }
+
+  // POST /api/categories { name, order?, subcategories? }
+  if (req.method === "POST" && !id) {
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const name = String(body.name || "").trim();
+    if (!name) return json({ ok: false, error: "name is required" }, 400);
+    const clash = clashing(name, null);
+    if (clash) return json({ ok: false, error: "A category with that name already exists", category: publicCategory(clash) }, 409);
+
+    const order = body.order != null && body.order !== "" ? Number(body.order) : Math.max(0, ...categories.map((c) => Number(c.order) || 0)) + 10;
+    if (!Number.isFinite(order)) return json({ ok: false, error: "order must be a number" }, 400);
+
+    const now = new Date().toISOString();
+    const category = await store.create(col, {
+      name,
+      nameKey: categoryKey(name),
+      order,
+      subcategories: cleanAliases(body.subcategories, ""),
+      retiredAt: null,
+      mergedInto: null,
+      createdBy: auth.user,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return json({ ok: true, category: publicCategory(category) });
+  }
+
+  // PUT /api/categories/:id { name?, order?, subcategories?, retired? } — renames re-point items
+  if (req.method === "PUT" && id) {
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const existing = byId(id);
+    if (!existing) return json({ ok: false, error: "Category not found" }, 404);
+
+    const name = body.name != null ? String(body.name).trim() : existing.name;
+    if (!name) return json({ ok: false, error: "name is required" }, 400);
+    const clash = clashing(name, existing._id);
+    if (clash) {
+      return json({ ok: false, error: "Another category already uses that name; merge them instead", category: publicCategory(clash) }, 409);
+    }
+
+    const order = body.order != null && body.order !== "" ? Number(body.order) : existing.order;
+    if (!Number.isFinite(Number(order))) return json({ ok: false, error: "order must be a number" }, 400);
+
+    const now = new Date().toISOString();
+    const retiredAt = body.retired === undefined ? existing.retiredAt || null : body.retired ? existing.retiredAt || now : null;
+
+    const category = await store.update(col, existing._id, {
+      name,
+      nameKey: categoryKey(name),
+      order: Number(order),
+      subcategories: body.subcategories !== undefined ? cleanAliases(body.subcategories, "") : existing.subcategories || [],
+      retiredAt,
+      updatedAt: now,
+    });
+
+    const movedItems = name !== existing.name ? await repointCategoryItems(env, auth, existing.name, name, "rename") : 0;
+    return json({ ok: true, category: publicCategory(category), movedItems });
+  }
+
+  // DELETE /api/categories/:id — only while no item (deleted ones included) uses it
+  if (req.method === "DELETE" && id) {
+    const existing = byId(id);
+    if (!existing) return json({ ok: false, error: "Category not found" }, 404);
+
+    const [used] = await store.list(itemsCollection(env), { q: { category: existing.name }, max: 1, fields: { category: 1 } });
+    if (used) return json({ ok: false, error: "Items use this category; retire it or merge it instead" }, 409);
+
+    await store.remove(col, existing._id);
+    return json({ ok: true });
+  }
+
+  return json({ ok: false, error: "Method not allowed" }, 405);
+}
+
+async function handleCatalog(req, env, url, auth) {
+  const store = getStore(env);
+  const col = catalogCollection(env);
+
+  const parts = url.pathname.split("/").filter(Boolean); // ["api","catalog",":id?|unmatched","merge?"]
+  const id = parts[2] || null;
+  const sub = parts[3] || null;
+
+  const denied = requireRole(auth, req.method === "GET" && id !== "unmatched" ? "viewer" : "admin");
+  if (denied) return denied;
+
+  const entries = await listCatalog(env);
+  const byId = (eid) => entries.find((e) => e._id === eid) || null;
+
+  // GET /api/catalog/unmatched?kind=product|vendor — item text that links to no entry, most used first
+  if (id === "unmatched" && !sub) {
+    if (req.method !== "GET") return json({ ok: false, error: "Method not allowed" }, 405);
+
+    const kind = url.searchParams.get("kind") || "product";
+    if (!CATALOG_KINDS.includes(kind)) return json({ ok: false, error: `kind must be one of ${CATALOG_KINDS.join(", ")}` }, 400);
+    const { field, idField } = CATALOG_ITEM_FIELDS[kind];
+
+    const items = await store.list(itemsCollection(env), { q: { [idField]: null }, fields: { [field]: 1, category: 1 } });
+    const groups = new Map();
+    for (const it of items) {
+      const key = catalogKey(it[field]);
+      if (!key) continue;
+      const g = groups.get(key) || { spellings: new Map(), categories: new Set(), count: 0 };
+      g.spellings.set(it[field], (g.spellings.get(it[field]) || 0) + 1);
+      if (it.category) g.categories.add(it.category);
+      g.count++;
+      groups.set(key, g);
+    }
+
+    const values = [...groups.values()].map((g) => {
+      const spellings = [...g.spellings.entries()].sort((a, b) => b[1] - a[1]).map(([s]) => s);
+      const [suggested] = matchCatalog(entries, kind, spellings[0]);
+      return { value: spellings[0], spellings, count: g.count, categories: [...g.categories].sort(), suggestedId: suggested ? suggested._id : null };
+    });
+    values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    return json({ ok: true, kind, values });
+  }
+
+  // POST /api/catalog/:id/merge { values } — fold free-text values into an entry; they become its aliases
+  if (id && sub === "merge") {
+    if (req.method !== "POST") return json({ ok: false, error: "Method not allowed" }, 405);
+
+    const body = await req.json().catch(() => null);
+    const target = byId(id);
+    if (!target) return json({ ok: false, error: "Catalog entry not found" }, 404);
+
+    const values = cleanCatalogNames(body && body.values, "");
+    if (!values.length) return json({ ok: false, error: "values is required" }, 400);
+
+    const keys = new Set(values.map(catalogKey));
+    const taken = entries.find(
+      (e) =>
+        e.kind === target.kind &&
+        e._id !== target._id &&
+        (target.kind !== "product" || (e.vendorId || null) === (target.vendorId || null)) &&
+        catalogKeys(e).some((k) => keys.has(k))
+    );
+    if (taken) {
+      return json({ ok: false, error: `"${taken.name}" already uses one of those names; edit that entry instead` }, 409);
+    }
+
+    const { field, idField } = CATALOG_ITEM_FIELDS[target.kind];
+    const movedItems = await repointCatalogItems(
+      env,
+      auth,
+      target,
+      (it) => !it[idField] && keys.has(catalogKey(it[field])),
+      "merge",
+      entries
+    );
+    const entry = await store.update(col, target._id, {
+      aliases: cleanCatalogNames([...(target.aliases || []), ...values], target.name),
+      updatedAt: new Date().toISOString(),
+    });
+    return json({ ok: true, entry: publicCatalogEntry(entry, entries), movedItems });
+  }
+
+  if (sub) return json({ ok: false, error: "Not Found" }, 404);
+
+  // GET /api/catalog?kind=&category=&q=
+  if (req.method === "GET" && !id) {
+    const kind = url.searchParams.get("kind") || "";
+    const category = categoryKey(url.searchParams.get("category"));
+    const q = catalogKey(url.searchParams.get("q"));
+
+    const list = entries.filter(
+      (e) =>
+        (!kind || e.kind === kind) &&
+        (!category || !(e.categories || []).length || e.categories.some((c) => categoryKey(c) === category)) &&
+        (!q || catalogKeys(e).some((k) => k.includes(q)))
+    );
+    return json({ ok: true, entries: list.map((e) => publicCatalogEntry(e, entries)) });
+  }
+
+  // GET /api/catalog/:id — with how many items link to it
+  if (req.method === "GET" && id) {
+    const entry = byId(id);
+    if (!entry) return json({ ok: false, error: "Catalog entry not found" }, 404);
+    const itemCount = await store.count(itemsCollection(env), { [CATALOG_ITEM_FIELDS[entry.kind].idField]: entry._id });
+    return json({ ok: true, entry: publicCatalogEntry(entry, entries), itemCount });
+  }
+
+  // POST /api/catalog { kind, name, vendorId?, categories?, aliases?, eolDate?, eosDate? }
+  if (req.method === "POST" && !id) {
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const { input, errors, clash } = await validateCatalogEntry(env, body, entries);
+    if (hasErrors(errors)) return errorResponse(errors);
+    if (clash) {
+      return json({ ok: false, error: "A catalog entry already uses that name or alias", entry: publicCatalogEntry(clash, entries) }, 409);
+    }
+
+    const now = new Date().toISOString();
+    const entry = await store.create(col, {
+      ...input,
+      nameKey: catalogKey(input.name),
+      mergedInto: null,
+      createdBy: auth.user,
+      createdAt: now,
+      updatedAt: now,
+    });
+    return json({ ok: true, entry: publicCatalogEntry(entry, entries) });
+  }
+
+  // PUT /api/catalog/:id { name?, vendorId?, categories?, aliases?, eolDate?, eosDate? } — renames re-point items
+  if (req.method === "PUT" && id) {
+    const body = await req.json().catch(() => null);
+    if (!body) return json({ ok: false, error: "Invalid JSON body" }, 400);
+
+    const existing = byId(id);
+    if (!existing) return json({ ok: false, error: "Catalog entry not found" }, 404);
+
+    const { input, errors, clash } = await validateCatalogEntry(env, body, entries, existing);
+    if (hasErrors(errors)) return errorResponse(errors);
+    if (clash) {
+      return json({ ok: false, error: "Another catalog entry already uses that name or alias", entry: publicCatalogEntry(clash, entries) }, 409);
+    }
+
+    const entry = await store.update(col, existing._id, {
+      ...input,
+      nameKey: catalogKey(input.name),
+      updatedAt: new Date().toISOString(),
+    });
+
+    const { idField } = CATALOG_ITEM_FIELDS[entry.kind];
+    const movedItems =
+      input.name !== existing.name ? await repointCatalogItems(env, auth, entry, (it) => it[idField] === entry._id, "rename", entries) : 0;
+    return json({ ok: true, entry: publicCatalogEntry(entry, entries), movedItems });
+  }
+
+  // DELETE /api/catalog/:id — only while no item (deleted ones included) or product links to it
+  if (req.method === "DELETE" && id) {
+    const existing = byId(id);
+    if (!existing) return json({ ok: false, error: "Catalog entry not found" }, 404);
+
+    const { idField } = CATALOG_ITEM_FIELDS[existing.kind];
+    const [used] = await store.list(itemsCollection(env), { q: { [idField]: existing._id }, max: 1, fields: { [idField]: 1 } });
+    if (used) return json({ ok: false, error: "Items link to this entry; rename it or fold other values into it instead" }, 409);
+    if (entries.some((e) => e.vendorId === existing._id)) {
+      return json({ ok: false, error: "Products are catalogued under this vendor" }, 409);
+    }
+
+    await store.remove(col, existing._id);
+    return json({ ok: true });
+  }
+
+  return json({ ok: false, error: "Method not allowed" }, 405);
+}
+
+/* ----------------------------- UI ----------------------------- */
+function htmlPage(env) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>Technology Matrix</title>
+  <style>
+    body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; margin: 18px; }
+    .wrap { max-width: 100%; margin: 18px; }
+    h1 { margin: 0 0 8px; }
+    .sub { color: #555; margin: 0 0 16px; }
+    .grid {
+      display: grid;
+      grid-template-columns: 420px 1fr; /* 👈 left fixed, right flexible */
+      gap: 16px;
+      align-items: start;
+    }
+    .grid > .card:first-child {
+      position: sticky;
+      top: 12px;              
+      align-self: start;
+    }
+    .grid > .card:last-child table {
+      font-size: 13px;
+    }
+    .grid > .card:last-child th,
+    .grid > .card:last-child td {
+      padding: 8px 10px;
+    }
+    label { font-size: 12px; color: #333; display:block; margin-bottom: 6px;  color: #605e5c; font-weight: 600;}
+    input, select, textarea { width: 100%; min-width: 0; padding: 10px; border: 1px solid #c8c6c4; border-radius: 8px; font-size: 14px; box-sizing: border-box; background: #fff;}
+    input:focus, select:focus, textarea:focus {
+      outline: none;
+      border-color: #605e5c;
+      box-shadow: 0 0 0 2px rgba(0,0,0,.06);
+    }
+    textarea { min-height: 84px; resize: vertical; }
+    .row { display:flex; gap: 12px; align-items:center; flex-wrap: wrap;}
+    .row > * { flex: 1; min-width: 220px;}
+    /* Cards */
+    .card {
+        background: #fff;
+        border: 1px solid #edebe9;
+        box-shadow: none;
+        border-radius: 12px;
+        min-width: 0;
+        padding: 8px;
+      }
+    .actions { display:flex; gap: 10px; margin-top: 12px; }
+    button { padding: 10px 14px; border-radius: 8px; border: 1px solid #c8c6c4; background: #fff; cursor: pointer; font-weight: 600; }
+    button.primary { background: #0f6cbd; border-color: #0f6cbd; color: #fff; }
+    button.primary:hover { filter: brightness(0.98); }
+    .pill { display:inline-flex; align-items:center; gap: 8px; padding: 6px 10px; border-radius: 999px; font-size: 12px; border: 1px solid #ddd; }
+    .seg { display:flex; border: 1px solid #ccc; border-radius: 999px; overflow:hidden; }
+    .seg button { flex: 1; padding: 10px 0; border: 0; background: #fff; cursor: pointer; font-weight: 700; }
+    .seg button + button { border-left: 1px solid #eee; }
+    .seg button.active { background: #111; color: #fff; }
+    .time { font-weight: 800; width: 22px; height: 22px; border-radius: 8px; display:inline-flex; align-items:center; justify-content:center; color:#fff; }
+    .I { background: #1f9d55; }
+    .M { background: #d97706; }
+    .T { background: #64748b; }
+    .E { background: #dc2626; }
+    table { width:100%; border-collapse: collapse; table-layout: fixed;}
+    th, td { padding: 10px; border-bottom: 1px solid #eee; vertical-align: top; overflow-wrap: anywhere;}
+    th { text-align:left; font-size: 12px; color:#444; }
+    th a.sort { color: inherit; text-decoration: none; }
+    th a.sort:hover { text-decoration: underline; }
+    .muted { color:#666; font-size: 12px; }
+    .risk { display:inline-block; margin:4px 4px 0 0; padding:2px 8px; border-radius:999px; font-size:11px; font-weight:700; background:#fef3c7; color:#92400e; }
+    .risk.high { background:#fee2e2; color:#991b1b; }
+    .delta { font-weight:700; }
+    tfoot td { background:#f8fafc; font-size:12px; }
+    tfoot tr.total td { font-weight:700; border-top: 2px solid #ddd; }
+    .delta.added { color:#1f9d55; }
+    .delta.removed { color:#dc2626; }
+    .delta.moved { color:#d97706; }
+    .delta.unchanged { color:#666; font-weight:400; }
+    .topbar { display:flex; gap: 12px; align-items:flex-end; justify-content: space-between; }
+    .topbar .filters { display:flex; gap: 12px; }
+    .small { max-width: 260px; }
+    .filter-panel { margin-top: 10px; padding: 12px; border: 1px solid #eee; border-radius: 12px; }
+    .filter-panel select[multiple] { min-height: 96px; }
+    .checks { display:flex; gap: 10px; flex-wrap: wrap; padding-top: 6px; }
+    .checks label { display:inline-flex; align-items:center; gap: 4px; font-weight: 400; }
+    .range { display:flex; gap: 6px; align-items:center; }
+    .error { color:#b91c1c; font-size: 13px; margin-top: 8px; }
+    .invalid { border-color:#b91c1c !important; box-shadow: 0 0 0 1px #b91c1c; }
+    .field-error { color:#b91c1c; font-size: 12px; margin-top: 4px; }
+    .conflict { margin-top: 12px; padding: 12px; border: 1px solid #f59e0b; border-radius: 12px; background: #fffbeb; }
+    .conflict table { margin-top: 8px; }
+    .conflict td { vertical-align: top; word-wrap: break-word; }
+    .conflict label { display:inline; font-weight: 400; }
+    .hidden { display:none; }
+    .change { font-size: 12px; }
+    .change s { color:#b91c1c; }
+    #copyCrmLink { max-width: 120px; }
+    .bar { display:flex; height: 14px; border-radius: 4px; overflow:hidden; background:#f3f3f3; }
+    .bar span { display:block; height:100%; }
+    .dash h4 { margin: 16px 0 6px; font-size: 13px; }
+    mark { background: #fde68a; padding: 0 1px; border-radius: 2px; }
+    .hit { font-size: 12px; margin-top: 4px; }
+    #chartPanel svg { width: 100%; max-width: 640px; height: auto; display: block; margin: 0 auto; }
+    #chartPanel .pt { cursor: pointer; }
+    #chartPanel .pt:hover circle { stroke: #111; stroke-width: 2; }
+    @media (max-width: 1100px) {
+      .grid { grid-template-columns: 1fr;}
+      .grid > .card:first-child { position: static; }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <h1 id="title">Technology Matrix</h1>
+    <p class="sub" id="subtitle">Capture current-state solutions by category and score them using TIME (Technical vs Functional fit).</p>
+
+    <div class="grid">
+      <div class="card">
+      <input id="editingId" type="hidden" value="" />
+        <div class="row">
+          <div id="customerNameBlock">
+            <label>Customer Name</label>
+            <input id="customerName" placeholder="e.g., Huntington Medical, Smart & Final..." />
+            <div class="muted">Tip (embed): ?customerName=&lt;name&gt;&embed=1</div>
+          </div>
+          <div>
+            <label>Category</label>
+            <select id="category"></select>
+          </div>
+        </div>
+
+        <div id="subcategoryBlock" class="row hidden" style="margin-top:12px;">
+          <div>
+            <label>Subcategory</label>
+            <select id="subcategory"></select>
+          </div>
+        </div>
+
+        <div class="row" style="margin-top:12px;">
+          <div>
+            <label>Current Solution</label>
+            <input id="solution" list="solutionOptions" autocomplete="off" placeholder="Zoom Phone, RingCentral, Mitel, Teams, etc." />
+            <datalist id="solutionOptions"></datalist>
+            <div class="muted" id="solutionHint"></div>
+          </div>
+          <div>
+            <label>Vendor (optional)</label>
+            <input id="vendor" list="vendorOptions" autocomplete="off" placeholder="Zoom / Microsoft / Cisco / Fortinet..." />
+            <datalist id="vendorOptions"></datalist>
+          </div>
+        </div>
+
+        <div class="row" style="margin-top:12px;">
+          <div>
+            <label>Technical Fit (1-5) <span class="muted" id="technicalFitValue"></span></label>
+            <div class="seg" id="techSeg">
+              <button type="button" data-v="1">1</button>
+              <button type="button" data-v="2">2</button>
+              <button type="button" data-v="3">3</button>
+              <button type="button" data-v="4">4</button>
+              <button type="button" data-v="5">5</button>
+            </div>
+            <input id="technicalFit" type="hidden" value="5" />
+            <div id="technicalCriteria"></div>
+          </div>
+
+          <div>
+            <label>Functional Fit (1-5) <span class="muted" id="functionalFitValue"></span></label>
+            <div class="seg" id="funcSeg">
+              <button type="button" data-v="1">1</button>
+              <button type="button" data-v="2">2</button>
+              <button type="button" data-v="3">3</button>
+              <button type="button" data-v="4">4</button>
+              <button type="button" data-v="5">5</button>
+            </div>
+            <input id="functionalFit" type="hidden" value="5" />
+            <div id="functionalCriteria"></div>
+          </div>
+        </div>
+
+        <div class="row" style="margin-top:12px;">
+          <div>
+            <label>Date Implemented</label>
+            <input id="dateImplemented" type="date" />
+          </div>
+          <div>
+            <label>Contract Expiration</label>
+            <input id="contractExpiration" type="date" />
+          </div>
+        </div>
+
+        <div class="row" style="margin-top:12px;">
+          <div>
+            <label>Monthly cost</label>
+            <input id="monthlyCost" type="number" min="0" step="any" placeholder="Recurring, per month" />
+          </div>
+          <div>
+            <label>One-time cost</label>
+            <input id="oneTimeCost" type="number" min="0" step="any" />
+          </div>
+          <div>
+            <label>Seats / lines</label>
+            <input id="seats" type="number" min="0" step="1" />
+          </div>
+          <div>
+            <label>Currency</label>
+            <input id="currency" maxlength="3" placeholder="${escapeHtml(defaultCurrency(env))}" style="text-transform:uppercase;" />
+          </div>
+        </div>
+
+        <div style="margin-top:12px;">
+          <label>Notes / Customer Feedback</label>
+          <textarea id="notes" placeholder="What did the customer say? Pain points? Support issues? Contract pressure?"></textarea>
+        </div>
+
+        <div style="margin-top:12px;">
+          <label>Target state <span class="muted">(planned replacement, optional)</span></label>
+          <div class="row">
+            <div>
+              <label>Proposed solution</label>
+              <input id="targetSolution" list="solutionOptions" autocomplete="off" placeholder="What it should move to" />
+            </div>
+            <div>
+              <label>Proposed vendor</label>
+              <input id="targetVendor" list="vendorOptions" autocomplete="off" />
+            </div>
+          </div>
+          <div class="row" style="margin-top:8px;">
+            <div>
+              <label>Target date</label>
+              <input id="targetDate" type="date" />
+            </div>
+            <div>
+              <label>Estimated cost</label>
+              <input id="targetCost" type="number" min="0" step="any" placeholder="To make the change" />
+            </div>
+            <div>
+              <label>Estimated annual cost</label>
+              <input id="targetAnnualCost" type="number" min="0" step="any" placeholder="Of the replacement, per year" />
+            </div>
+          </div>
+          <div class="row" style="margin-top:8px;">
+            <div>
+              <label>Owner</label>
+              <input id="targetOwner" placeholder="Who drives the change" />
+            </div>
+            <div>
+              <label>Status</label>
+              <select id="targetStatus">
+                <option value="proposed">Proposed</option>
+                <option value="approved">Approved</option>
+                <option value="in-progress">In progress</option>
+                <option value="done">Done</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        <div style="margin-top:12px;">
+          <span class="pill">
+            <span class="time I" id="timeCode">I</span>
+            <span id="timeLabel">Invest</span>
+            <span class="muted" id="cutoffNote"></span>
+          </span>
+        </div>
+
+        <div class="actions">
+          <button class="primary" id="saveBtn">Save</button>
+          <button id="resetBtn">Reset</button>
+        </div>
+
+        <div class="conflict hidden" id="conflictPanel">
+          <div><b>Changed by someone else.</b> <span class="muted" id="conflictWho"></span></div>
+          <div class="muted" style="margin-top:4px;">Their changes to other fields were kept. Pick a value for each field you both changed:</div>
+          <table>
+            <thead><tr><th style="width:140px;">Field</th><th>Theirs</th><th>Yours</th></tr></thead>
+            <tbody id="conflictBody"></tbody>
+          </table>
+          <div class="actions">
+            <button class="primary" id="conflictApply">Save merged</button>
+            <button id="conflictTheirs">Discard my changes</button>
+          </div>
+        </div>
+
+        <div class="error" id="err"></div>
+      </div>
+
+      <div class="card">
         <div class="topbar">
           <div class="filters">
             <div class="small">
-              <label>Filter Category</label>
-              <select id="filterCategory">
+              <label>Filters</label>
+              <button type="button" id="filtersBtn">Filters</button>
+            </div>
+            <div class="small">
+              <label>Search</label>
+              <input id="searchBox" type="search" placeholder="Solution, vendor, notes, customer…" />
+            </div>
+          </div>
+          <div style="display:flex; gap:8px;">
+            <button id="dashboardBtn">Portfolio</button>
+            <button id="renewalsBtn">Renewals</button>
+            <button id="compareBtn" title="Snapshots of the current customer and what changed since">Compare</button>
+            <button id="roadmapBtn" title="Planned replacements for the current customer, by quarter">Roadmap</button>
+            <button id="deletedBtn">Recently deleted</button>
+            <button id="purgeBtn" class="hidden" title="Permanently remove items deleted more than ${escapeHtml(String(env.DELETE_RETENTION_DAYS || 30))} days ago">Purge expired</button>
+            <button id="reportBtn" title="Printable assessment for the current customer">Report</button>
+            <button id="exportCsvBtn" title="Download the current customer (or the whole portfolio) as CSV">Export CSV</button>
+            <button id="exportXlsxBtn" title="Download the current customer (or the whole portfolio) as Excel">Export Excel</button>
+            <button id="refreshBtn">Refresh</button>
+          </div>
+        </div>
+
+        <div id="filterPanel" class="filter-panel hidden">
+          <div class="row">
+            <div>
+              <label>Categories</label>
+              <select id="filterCategory" multiple></select>
+            </div>
+            <div>
+              <label>TIME</label>
+              <div class="checks" id="filterTime">
+                <label><input type="checkbox" value="I" /> Invest</label>
+                <label><input type="checkbox" value="M" /> Migrate</label>
+                <label><input type="checkbox" value="T" /> Tolerate</label>
+                <label><input type="checkbox" value="E" /> Eliminate</label>
+              </div>
+              <label style="margin-top:10px;">Vendors</label>
+              <input id="filterVendor" placeholder="Comma-separated, e.g. Mitel, Avaya" />
+            </div>
+          </div>
+          <div class="row" style="margin-top:10px;">
+            <div>
+              <label>Technical fit</label>
+              <div class="range">
+                <select id="filterTechMin"><option value="">Any</option><option value="1">1</option><option value="2">2</option><option value="3">3</option><option value="4">4</option><option value="5">5</option></select>
+                <span>to</span>
+                <select id="filterTechMax"><option value="">Any</option><option value="1">1</option><option value="2">2</option><option value="3">3</option><option value="4">4</option><option value="5">5</option></select>
+              </div>
+            </div>
+            <div>
+              <label>Functional fit</label>
+              <div class="range">
+                <select id="filterFuncMin"><option value="">Any</option><option value="1">1</option><option value="2">2</option><option value="3">3</option><option value="4">4</option><option value="5">5</option></select>
+                <span>to</span>
+                <select id="filterFuncMax"><option value="">Any</option><option value="1">1</option><option value="2">2</option><option value="3">3</option><option value="4">4</option><option value="5">5</option></select>
+              </div>
+            </div>
+          </div>
+          <div class="row" style="margin-top:10px;">
+            <div>
+              <label>Contract expires</label>
+              <div class="range">
+                <input id="filterExpiresFrom" type="date" />
+                <span>to</span>
+                <input id="filterExpiresTo" type="date" />
+              </div>
+            </div>
+            <div>
+              <label>…or within</label>
+              <select id="filterExpiresWithin">
+                <option value="">Any time</option>
+                <option value="30">30 days</option>
+                <option value="60">60 days</option>
+                <option value="90">90 days</option>
+                <option value="180">180 days</option>
+                <option value="365">1 year</option>
+              </select>
+            </div>
+          </div>
+          <div class="actions">
+            <button type="button" id="clearFiltersBtn">Clear filters</button>
+          </div>
+        </div>
+
+        <div class="row" style="margin-top:10px;">
+          <div>
+            <label>Open / Create Customer</label>
+            <input id="browseCustomerName" placeholder="Type a customer name…" />
+          </div>
+          <div style="max-width:160px;">
+            <label>&nbsp;</label>
+            <button type="button" id="openCustomerBtn" class="primary">Open</button>
+          </div>
+        </div>
+
+        <div id="browseHint" class="muted" style="margin-top:10px;">
+          If no customer is selected, you’ll see a list of customers here. Typing a name filters the list.
+        </div>
+
+        <div id="chartPanel" class="hidden" style="margin-top:14px;">
+          <div class="muted">TIME quadrants: technical fit across, functional fit up. Click a point to open it.</div>
+          <div id="chartBody"></div>
+        </div>
+
+        <div id="dashboardPanel" class="hidden dash" style="margin-top:14px;">
+          <div class="row">
+            <div class="small">
+              <label>Date</label>
+              <select id="statsDateField">
+                <option value="dateImplemented">Implemented</option>
+                <option value="contractExpiration">Contract expiration</option>
+                <option value="createdAt">Added to the matrix</option>
+              </select>
+            </div>
+            <div class="small">
+              <label>From</label>
+              <input id="statsFrom" type="date" />
+            </div>
+            <div class="small">
+              <label>To</label>
+              <input id="statsTo" type="date" />
+            </div>
+          </div>
+          <div id="dashboardBody"></div>
+        </div>
+
+        <div id="searchPanel" class="hidden" style="margin-top:14px;">
+          <div class="row">
+            <div class="small">
+              <label>TIME</label>
+              <select id="searchTime">
+                <option value="">All</option>
+                <option value="I">Invest</option>
+                <option value="M">Migrate</option>
+                <option value="T">Tolerate</option>
+                <option value="E">Eliminate</option>
+              </select>
+            </div>
+            <div id="searchScopeBlock" class="small hidden">
+              <label><input id="searchThisCustomer" type="checkbox" style="width:auto;" /> Only <span id="searchCustomerLabel"></span></label>
+            </div>
+          </div>
+          <div id="searchSummary" class="muted" style="margin-top:8px;"></div>
+          <div style="margin-top:8px; overflow:auto;">
+            <table>
+              <thead>
+                <tr>
+                  <th>Customer</th>
+                  <th>Category</th>
+                  <th>Solution</th>
+                  <th style="width:120px;">TIME</th>
+                  <th style="width:40%;">Matches</th>
+                </tr>
+              </thead>
+              <tbody id="searchBody"></tbody>
+            </table>
+          </div>
+        </div>
+
+        <div id="renewalsPanel" class="hidden" style="margin-top:14px;">
+          <div class="row">
+            <div class="small">
+              <label>Expiring within</label>
+              <select id="renewalDays">
+                <option value="30">30 days</option>
+                <option value="60">60 days</option>
+                <option value="90">90 days</option>
+                <option value="180" selected>180 days</option>
+              </select>
+            </div>
+            <div class="small">
+              <label>TIME</label>
+              <select id="renewalTime">
                 <option value="">All</option>
-                ${categoriesOptions}
+                <option value="I">Invest</option>
+                <option value="M">Migrate</option>
+                <option value="T">Tolerate</option>
+                <option value="E">Eliminate</option>
               </select>
             </div>
           </div>
-          <div>
-            <button id="refreshBtn">Refresh</button>
+          <div id="renewalsSummary" class="muted" style="margin-top:8px;"></div>
+          <div style="margin-top:8px; overflow:auto;">
+            <table>
+              <thead>
+                <tr>
+                  <th style="width:120px;">Expires</th>
+                  <th>Customer</th>
+                  <th>Category</th>
+                  <th>Solution</th>
+                  <th style="width:130px;">TIME</th>
+                </tr>
+              </thead>
+              <tbody id="renewalsBody"></tbody>
+            </table>
+          </div>
+        </div>
+
+        <div id="roadmapPanel" class="hidden" style="margin-top:14px;">
+          <div class="row">
+            <div class="small">
+              <label>Status</label>
+              <select id="roadmapStatus">
+                <option value="">All plans</option>
+                <option value="proposed">Proposed</option>
+                <option value="approved">Approved</option>
+                <option value="in-progress">In progress</option>
+                <option value="done">Done</option>
+              </select>
+            </div>
+          </div>
+          <div id="roadmapSummary" class="muted" style="margin-top:8px;"></div>
+          <div style="margin-top:8px; overflow:auto;">
+            <table>
+              <thead>
+                <tr>
+                  <th style="width:110px;">Target date</th>
+                  <th>Current</th>
+                  <th>Target</th>
+                  <th style="width:120px;">Owner</th>
+                  <th style="width:100px;">Status</th>
+                  <th style="width:140px;">Est. cost</th>
+                </tr>
+              </thead>
+              <tbody id="roadmapBody"></tbody>
+            </table>
+          </div>
+        </div>
+
+        <div id="comparePanel" class="hidden" style="margin-top:14px;">
+          <div class="row" id="snapshotRow">
+            <div>
+              <label>Snapshot label</label>
+              <input id="snapshotLabel" placeholder="e.g., FY25 assessment" />
+            </div>
+            <div class="small">
+              <label>As of</label>
+              <input id="snapshotDate" type="date" />
+            </div>
+            <div style="max-width:160px;">
+              <label>&nbsp;</label>
+              <button type="button" id="takeSnapshotBtn">Take snapshot</button>
+            </div>
+          </div>
+          <div class="row" style="margin-top:8px;">
+            <div>
+              <label>Compare</label>
+              <select id="compareFrom"></select>
+            </div>
+            <div>
+              <label>with</label>
+              <select id="compareTo"></select>
+            </div>
+            <div style="max-width:160px;">
+              <label>&nbsp;</label>
+              <button type="button" id="deleteSnapshotBtn" class="hidden">Delete snapshot</button>
+            </div>
+          </div>
+          <div id="compareSummary" class="muted" style="margin-top:8px;"></div>
+          <div style="margin-top:8px; overflow:auto;">
+            <table>
+              <thead>
+                <tr>
+                  <th style="width:130px;">Change</th>
+                  <th>Category</th>
+                  <th id="compareFromHead">Before</th>
+                  <th id="compareToHead">After</th>
+                </tr>
+              </thead>
+              <tbody id="compareBody"></tbody>
+            </table>
+          </div>
+        </div>
+
+        <div id="matrixTable" style="margin-top: 14px; overflow:auto;">
+          <table>
+            <thead>
+              <tr>
+                <th id="th1">TIME</th>
+                <th id="th2">Category / Customer</th>
+                <th id="th3">Solution</th>
+                <th id="th4">Fit / Count</th>
+                <th id="th5">Notes</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="tbody">
+              <tr><td colspan="6" class="muted">Loading…</td></tr>
+            </tbody>
+            <tfoot id="spendFoot"></tfoot>
+          </table>
+        </div>
+
+        <div id="loadMoreRow" class="hidden" style="margin-top:10px; text-align:center;">
+          <button type="button" id="loadMoreBtn">Load more</button>
+        </div>
+
+        <div id="historyPanel" class="hidden" style="margin-top:14px;">
+          <div class="topbar">
+            <label id="historyTitle">History</label>
+            <button type="button" id="closeHistoryBtn">Close</button>
           </div>
+          <div id="historyBody" style="overflow:auto;"></div>
+        </div>
+      </div>
+    </div>
+
+    <div id="customerPanel" class="card hidden" style="margin-top:12px;">
+      <label>Customer record <span class="muted" id="customerIdLabel"></span></label>
+      <div class="row">
+        <div>
+          <label>Name (renaming updates every item)</label>
+          <input id="custName" />
+        </div>
+        <div>
+          <label>Dynamics Account ID</label>
+          <input id="custAccountId" placeholder="00000000-0000-0000-0000-000000000000" />
+        </div>
+        <div>
+          <label>Aliases (comma separated)</label>
+          <input id="custAliases" placeholder="Old names, abbreviations…" />
+        </div>
+        <div style="max-width:160px;">
+          <label>&nbsp;</label>
+          <button type="button" id="saveCustomerBtn">Save customer</button>
+        </div>
+      </div>
+      <div class="row hidden" id="mergeRow" style="margin-top:8px;">
+        <div>
+          <label>Merge another customer into this one (moves its items, keeps its name as an alias)</label>
+          <input id="mergeSourceName" placeholder="Duplicate customer name…" />
+        </div>
+        <div style="max-width:160px;">
+          <label>&nbsp;</label>
+          <button type="button" id="mergeCustomerBtn">Merge</button>
+        </div>
+      </div>
+      <div class="row hidden" id="crmSyncRow" style="margin-top:8px;">
+        <div>
+          <label>Dynamics 365 <span class="muted" id="crmSyncStatus"></span></label>
+          <label style="font-weight:400;"><input type="checkbox" id="crmSyncOpps" /> Also open opportunities for Migrate/Eliminate items</label>
+        </div>
+        <div style="max-width:160px;">
+          <label>&nbsp;</label>
+          <button type="button" id="crmSyncBtn">Sync to Dynamics</button>
         </div>
+      </div>
+    </div>
+
+    <div id="importPanel" class="card hidden" style="margin-top:12px;">
+      <label>Import from CSV</label>
+      <div class="row">
+        <div>
+          <input id="importFile" type="file" accept=".csv,text/csv" />
+        </div>
+        <div style="max-width:160px;">
+          <button type="button" id="importPreviewBtn">Preview</button>
+        </div>
+        <div style="max-width:220px;">
+          <button type="button" id="importRunBtn" class="primary" disabled>Import accepted rows</button>
+        </div>
+      </div>
+      <div class="muted" style="margin-top:6px;">
+        Columns: Customer, Category, Solution, Vendor, Technical Fit, Functional Fit, Date Implemented, Contract Expiration, Notes.
+        An export works as a template; rows without a customer go to the customer that is open.
+      </div>
+      <div id="importReport" style="margin-top:10px; overflow:auto;"></div>
+    </div>
+
+    <div id="scoringPanel" class="card hidden" style="margin-top:12px;">
+      <label>Scoring model</label>
+      <div class="muted">
+        A fit at or above its cutoff counts as high. When a fit lists criteria, it is the weighted
+        average of their 1-5 scores; an empty list means the fit is entered directly.
+      </div>
+      <textarea id="scoringJson" spellcheck="false" style="min-height:220px; font-family:monospace; font-size:12px; margin-top:8px;"></textarea>
+      <div class="actions">
+        <button type="button" id="saveScoringBtn" class="primary">Save model</button>
+      </div>
+    </div>
+
+    <div id="categoriesPanel" class="card hidden" style="margin-top:12px;">
+      <label>Categories</label>
+      <div class="muted">Subcategories are comma-separated. Retired categories stay on existing items but can't be picked.</div>
+      <div style="overflow:auto; margin-top:8px;">
+        <table>
+          <thead>
+            <tr><th>Name</th><th style="width:70px;">Order</th><th>Subcategories</th><th style="width:190px;"></th></tr>
+          </thead>
+          <tbody id="categoriesBody"></tbody>
+        </table>
+      </div>
+      <div class="row" style="margin-top:10px;">
+        <div>
+          <label>Merge</label>
+          <select id="mergeCategorySource"></select>
+        </div>
+        <div>
+          <label>into</label>
+          <select id="mergeCategoryTarget"></select>
+        </div>
+        <div style="max-width:120px;">
+          <label>&nbsp;</label>
+          <button type="button" id="mergeCategoryBtn">Merge</button>
+        </div>
+      </div>
+    </div>
+
+    <div id="catalogPanel" class="card hidden" style="margin-top:12px;">
+      <label>Vendor &amp; product catalog</label>
+      <div class="muted">
+        Categories and aliases are comma-separated; an entry with no categories fits any. Solutions and vendors
+        typed on items link to the entry whose name or alias they match, ignoring case, spaces and punctuation.
+      </div>
+      <div style="overflow:auto; margin-top:8px;">
+        <table>
+          <thead>
+            <tr><th style="width:90px;">Kind</th><th>Name</th><th>Vendor</th><th>Categories</th><th>Aliases</th><th style="width:130px;">End of life</th><th style="width:130px;">End of support</th><th style="width:150px;"></th></tr>
+          </thead>
+          <tbody id="catalogBody"></tbody>
+        </table>
+      </div>
+      <div class="row" style="margin-top:10px;">
+        <div class="small">
+          <label>Fold free-text values</label>
+          <select id="unmatchedKind">
+            <option value="product">Solutions</option>
+            <option value="vendor">Vendors</option>
+          </select>
+        </div>
+        <div style="max-width:160px;">
+          <label>&nbsp;</label>
+          <button type="button" id="unmatchedBtn">Find unmatched</button>
+        </div>
+      </div>
+      <div id="unmatchedList" style="margin-top:8px; overflow:auto;"></div>
+      <div class="row hidden" id="foldRow" style="margin-top:8px;">
+        <div>
+          <label>Fold the checked values into</label>
+          <select id="foldTarget"></select>
+        </div>
+        <div style="max-width:120px;">
+          <label>&nbsp;</label>
+          <button type="button" id="foldBtn">Fold</button>
+        </div>
+      </div>
+    </div>
+
+    <div id="crmLinkPanel" class="card" style="margin-top:12px;">
+      <label>Dynamics iFrame Link (paste into CRM link field)</label>
+      <div class="row">
+        <input id="crmLink" readonly />
+        <button type="button" id="copyCrmLink">Copy</button>
+      </div>
+      <div class="row hidden" id="embedTokenRow" style="margin-top:8px;">
+        <div class="small">
+          <label>Embed access</label>
+          <select id="embedRole">
+            <option value="viewer">Viewer (read-only)</option>
+            <option value="editor">Editor</option>
+          </select>
+        </div>
+        <div style="max-width:200px;">
+          <label>&nbsp;</label>
+          <button type="button" id="genEmbedToken">Generate signed link</button>
+        </div>
+      </div>
+      <div class="muted">Uses the customer's <b>Dynamics account ID</b> (or its customer ID until one is set), <b>embed=1</b> and a signed <b>token</b> (admins can generate one).</div>
+    </div>
+  </div>
+
+<script>
+(function(){
+  function el(id){ return document.getElementById(id); }
+  function val(id){ var n = el(id); return n ? (n.value || "") : ""; }
+  function setVal(id, v){ var n = el(id); if (n) n.value = v; }
+  function esc(s){
+    return String(s||"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+  }
+  function setError(msg){ var e = el("err"); if (e) e.textContent = msg || ""; }
+
+  // --- Auth: token comes from ?token= (Dynamics link) or is entered once per session ---
+  var TOKEN_KEY = "techmatrix.token";
+  var memToken = "";
+  var me = null;
+  var embedToken = "";
+  var view = "matrix"; // matrix | search | dashboard | renewals | deleted
+  var customerPage = { skip: 0, customers: [], hasMore: false };
+  var currentCustomer = null;
+  var linkTarget = null;
+  var embedMode = false;
+  var CUSTOMER_PAGE_SIZE = 100;
+  var itemPage = { items: [], hasMore: false, total: 0 };
+  var itemSort = { key: "", dir: 1 };
+  var ITEM_PAGE_SIZE = 50;
+
+  function getToken(){
+    try { return sessionStorage.getItem(TOKEN_KEY) || memToken; } catch(_e) { return memToken; }
+  }
+  function setToken(t){
+    memToken = t || "";
+    try {
+      if (t) sessionStorage.setItem(TOKEN_KEY, t);
+      else sessionStorage.removeItem(TOKEN_KEY);
+    } catch(_e) {}
+  }
+  function canEdit(){ return !!me && (me.role === "editor" || me.role === "admin"); }
+  function isAdmin(){ return !!me && me.role === "admin"; }
+
+  // --- Scoring model: TIME comes from the server, the page never computes it ---
+  var FITS = ["technical", "functional"];
+  var editingItem = null; // the item as loaded into the form; its updatedAt is sent as If-Match
+  var pendingMerge = null;
+  var scoringModel = null;
+  var previewSeq = 0;
+
+  function fitCriteria(fit){
+    return (scoringModel && scoringModel.criteria && scoringModel.criteria[fit]) || [];
+  }
+
+  // Fits with criteria get one segmented control per criterion instead of the direct 1-5 control.
+  function renderCriteria(){
+    for (var f=0; f<FITS.length; f++){
+      var fit = FITS[f];
+      var list = fitCriteria(fit);
+      el(fit === "technical" ? "techSeg" : "funcSeg").classList.toggle("hidden", list.length > 0);
+
+      var html = "";
+      for (var i=0; i<list.length; i++){
+        var c = list[i];
+        var id = "score_" + fit + "_" + c.key;
+        html += '<div class="muted" style="margin:6px 0 4px;">' + esc(c.label)
+          + (Number(c.weight) !== 1 ? ' \u00d7' + esc(String(c.weight)) : '') + '</div>'
+          + '<div class="seg" id="seg_' + id + '">';
+        for (var v=1; v<=5; v++) html += '<button type="button" data-v="' + v + '">' + v + '</button>';
+        html += '</div><input id="' + id + '" type="hidden" value="5" />';
+      }
+      el(fit + "Criteria").innerHTML = html;
+      for (var j=0; j<list.length; j++){
+        initSeg("seg_score_" + fit + "_" + list[j].key, "score_" + fit + "_" + list[j].key);
+      }
+    }
+
+    var cut = scoringModel ? scoringModel.cutoffs : null;
+    el("cutoffNote").textContent = cut
+      ? "(high: technical \u2265 " + cut.technical + ", functional \u2265 " + cut.functional + ")"
+      : "";
+  }
+
+  function collectScores(){
+    var scores = null;
+    for (var f=0; f<FITS.length; f++){
+      var list = fitCriteria(FITS[f]);
+      if (!list.length) continue;
+      var one = {};
+      for (var i=0; i<list.length; i++){
+        one[list[i].key] = Number(val("score_" + FITS[f] + "_" + list[i].key));
+      }
+      scores = scores || {};
+      scores[FITS[f]] = one;
+    }
+    return scores;
+  }
+
+  // Items saved before a fit had criteria start each criterion at their overall fit.
+  function setScores(scores, fits){
+    for (var f=0; f<FITS.length; f++){
+      var fit = FITS[f];
+      var list = fitCriteria(fit);
+      var given = (scores && scores[fit]) || {};
+      var fallback = fits && fits[fit] ? Math.round(Number(fits[fit])) : 5;
+      for (var i=0; i<list.length; i++){
+        var id = "score_" + fit + "_" + list[i].key;
+        setVal(id, String(given[list[i].key] || fallback));
+        initSeg("seg_" + id, id);
+      }
+    }
+  }
+
+  function updateTimePreview(){
+    if (!scoringModel) return;
+    var seq = ++previewSeq;
+    api("/api/scoring-model/evaluate", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        technicalFit: Number(val("technicalFit")),
+        functionalFit: Number(val("functionalFit")),
+        scores: collectScores()
+      })
+    }).then(function(out){
+      if (seq !== previewSeq) return;
+      el("timeCode").textContent = out.timeCode;
+      el("timeLabel").textContent = out.timeLabel;
+      el("timeCode").className = "time " + out.timeCode;
+      el("technicalFitValue").textContent = fitCriteria("technical").length ? "= " + out.technicalFit : "";
+      el("functionalFitValue").textContent = fitCriteria("functional").length ? "= " + out.functionalFit : "";
+    }).catch(function(){ /* the preview is best-effort; saving reports real errors */ });
+  }
+
+  // --- Categories: the form, the filter and the admin panel all come from /api/categories ---
+  var categories = [];
+  var filterCategories = [];
+
+  function findCategory(name){
+    for (var i=0; i<categories.length; i++){
+      if (categories[i].name === name) return categories[i];
+    }
+    return null;
+  }
+
+  function optionHtml(value, label){
+    return '<option value="' + esc(value) + '">' + esc(label) + '</option>';
+  }
+
+  // Keeps a value selectable when the list no longer offers it (e.g. editing an item in a retired category).
+  function ensureOption(id, value, label){
+    var sel = el(id);
+    if (!sel || !value) return;
+    for (var i=0; i<sel.options.length; i++){
+      if (sel.options[i].value === value) return;
+    }
+    sel.insertAdjacentHTML("beforeend", optionHtml(value, label || value));
+  }
+
+  function renderCategoryOptions(){
+    var cur = val("category");
+    var form = "";
+    var filter = "";
+    for (var i=0; i<categories.length; i++){
+      var c = categories[i];
+      if (!c.retired) form += optionHtml(c.name, c.name);
+      filter += optionHtml(c.name, c.name + (c.retired ? " (retired)" : ""));
+    }
+    el("category").innerHTML = form;
+    el("filterCategory").innerHTML = filter;
+
+    setVal("category", cur);
+    if (!val("category")) el("category").selectedIndex = 0;
+    var opts = el("filterCategory").options;
+    for (var j=0; j<opts.length; j++) opts[j].selected = filterCategories.indexOf(opts[j].value) >= 0;
+    renderSubcategoryOptions(val("subcategory"));
+  }
+
+  function renderSubcategoryOptions(keep){
+    var c = findCategory(val("category"));
+    var subs = c ? (c.subcategories || []) : [];
+    var html = optionHtml("", "\u2014");
+    for (var i=0; i<subs.length; i++) html += optionHtml(subs[i], subs[i]);
+    el("subcategory").innerHTML = html;
+    if (keep) {
+      ensureOption("subcategory", keep);
+      setVal("subcategory", keep);
+    }
+    el("subcategoryBlock").classList.toggle("hidden", !subs.length && !keep);
+  }
+
+  function renderCategoryAdmin(){
+    var html = "";
+    var opts = "";
+    for (var i=0; i<categories.length; i++){
+      var c = categories[i];
+      html += '<tr data-cat="' + esc(c._id) + '">'
+        + '<td><input data-f="name" value="' + esc(c.name) + '" />' + (c.retired ? '<div class="muted">Retired</div>' : '') + '</td>'
+        + '<td><input data-f="order" type="number" value="' + esc(String(c.order)) + '" /></td>'
+        + '<td><input data-f="subcategories" value="' + esc((c.subcategories || []).join(", ")) + '" /></td>'
+        + '<td><div style="display:flex; gap:8px;">'
+        +   '<button type="button" data-act="save">Save</button>'
+        +   '<button type="button" data-act="' + (c.retired ? 'reinstate' : 'retire') + '">' + (c.retired ? 'Reinstate' : 'Retire') + '</button>'
+        + '</div></td>'
+        + '</tr>';
+      opts += optionHtml(c._id, c.name + (c.retired ? " (retired)" : ""));
+    }
+    html += '<tr data-cat="">'
+      + '<td><input data-f="name" placeholder="New category" /></td>'
+      + '<td><input data-f="order" type="number" placeholder="auto" /></td>'
+      + '<td><input data-f="subcategories" /></td>'
+      + '<td><button type="button" data-act="add" class="primary">Add</button></td>'
+      + '</tr>';
+    el("categoriesBody").innerHTML = html;
+    el("mergeCategorySource").innerHTML = opts;
+    el("mergeCategoryTarget").innerHTML = opts;
+  }
+
+  async function loadCategories(){
+    var out = await api("/api/categories?includeRetired=1", { method: "GET" });
+    categories = out.categories || [];
+    renderCategoryOptions();
+    if (isAdmin() && !embedMode) renderCategoryAdmin();
+  }
+
+  // --- Catalog: solution/vendor autocomplete and the admin panel come from /api/catalog ---
+  var catalog = [];
+  var unmatchedValues = [];
+
+  // Matches like the server does: case, spaces and punctuation don't count.
+  function catalogKey(s){ return String(s || "").toLowerCase().replace(/[^\\p{L}\\p{N}]/gu, ""); }
+
+  function catalogMatch(kind, text){
+    var key = catalogKey(text);
+    if (!key) return [];
+    return catalog.filter(function(e){
+      if (e.kind !== kind) return false;
+      if (catalogKey(e.name) === key) return true;
+      return (e.aliases || []).some(function(a){ return catalogKey(a) === key; });
+    });
+  }
+
+  // The product the form's solution links to; the vendor settles a name two vendors share.
+  function pickedProduct(){
+    var matches = catalogMatch("product", val("solution"));
+    var vendors = catalogMatch("vendor", val("vendor"));
+    for (var i=0; i<matches.length; i++){
+      if (vendors.length && matches[i].vendorId === vendors[0]._id) return matches[i];
+    }
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  function updateCatalogHint(){
+    var hint = el("solutionHint");
+    if (!hint) return;
+    var text = String(val("solution") || "").trim();
+    var p = text && catalog.length ? pickedProduct() : null;
+    if (!text || !catalog.length) { hint.textContent = ""; return; }
+    if (!p) { hint.textContent = "Not in the catalog"; return; }
+    var parts = ["Catalog: " + p.name + (p.vendorName ? " \u00b7 " + p.vendorName : "")];
+    if (p.eolDate) parts.push("end of life " + p.eolDate);
+    if (p.eosDate) parts.push("end of support " + p.eosDate);
+    hint.textContent = parts.join(", ");
+  }
+
+  // Only solutions catalogued for the chosen category are suggested.
+  function renderCatalogOptions(){
+    var category = val("category");
+    var products = "";
+    var vendors = "";
+    for (var i=0; i<catalog.length; i++){
+      var e = catalog[i];
+      if (e.kind === "vendor") vendors += optionHtml(e.name, e.name);
+      else if (!(e.categories || []).length || e.categories.indexOf(category) >= 0) products += optionHtml(e.name, e.vendorName || e.name);
+    }
+    el("solutionOptions").innerHTML = products;
+    el("vendorOptions").innerHTML = vendors;
+    updateCatalogHint();
+  }
+
+  function vendorSelectHtml(selected, disabled){
+    var html = "<select data-f='vendorId'" + (disabled ? " disabled" : "") + ">" + optionHtml("", "\u2014");
+    for (var i=0; i<catalog.length; i++){
+      var v = catalog[i];
+      if (v.kind !== "vendor") continue;
+      html += "<option value='" + esc(v._id) + "'" + (v._id === selected ? " selected" : "") + ">" + esc(v.name) + "</option>";
+    }
+    return html + "</select>";
+  }
+
+  function renderCatalogAdmin(){
+    var html = "";
+    for (var i=0; i<catalog.length; i++){
+      var e = catalog[i];
+      html += "<tr data-entry='" + esc(e._id) + "'>"
+        + "<td>" + (e.kind === "vendor" ? "Vendor" : "Product") + "</td>"
+        + "<td><input data-f='name' value='" + esc(e.name) + "' /></td>"
+        + "<td>" + (e.kind === "product" ? vendorSelectHtml(e.vendorId, false) : "") + "</td>"
+        + "<td><input data-f='categories' value='" + esc((e.categories || []).join(", ")) + "' /></td>"
+        + "<td><input data-f='aliases' value='" + esc((e.aliases || []).join(", ")) + "' /></td>"
+        + "<td><input data-f='eolDate' type='date' value='" + esc(e.eolDate || "") + "' /></td>"
+        + "<td><input data-f='eosDate' type='date' value='" + esc(e.eosDate || "") + "' /></td>"
+        + "<td><div style='display:flex; gap:8px;'>"
+        +   "<button type='button' data-act='save'>Save</button>"
+        +   "<button type='button' data-act='delete'>Delete</button>"
+        + "</div></td>"
+        + "</tr>";
+    }
+    html += "<tr data-entry=''>"
+      + "<td><select data-f='kind'>" + optionHtml("product", "Product") + optionHtml("vendor", "Vendor") + "</select></td>"
+      + "<td><input data-f='name' placeholder='New entry' /></td>"
+      + "<td>" + vendorSelectHtml("", false) + "</td>"
+      + "<td><input data-f='categories' /></td>"
+      + "<td><input data-f='aliases' /></td>"
+      + "<td><input data-f='eolDate' type='date' /></td>"
+      + "<td><input data-f='eosDate' type='date' /></td>"
+      + "<td><button type='button' data-act='add' class='primary'>Add</button></td>"
+      + "</tr>";
+    el("catalogBody").innerHTML = html;
+    renderFoldTargets();
+  }
+
+  function renderFoldTargets(){
+    var kind = val("unmatchedKind");
+    var keep = val("foldTarget");
+    var opts = "";
+    for (var i=0; i<catalog.length; i++){
+      var e = catalog[i];
+      if (e.kind === kind) opts += optionHtml(e._id, e.name + (e.vendorName ? " (" + e.vendorName + ")" : ""));
+    }
+    el("foldTarget").innerHTML = opts;
+    if (keep) setVal("foldTarget", keep);
+  }
+
+  function renderUnmatched(){
+    var list = el("unmatchedList");
+    el("foldRow").classList.toggle("hidden", !unmatchedValues.length);
+    if (!unmatchedValues.length) {
+      list.innerHTML = "<div class='muted'>Every value links to the catalog.</div>";
+      return;
+    }
+    var html = "<table><thead><tr><th style='width:30px;'></th><th>Value</th><th style='width:70px;'>Items</th><th>Categories</th><th>Matches</th></tr></thead><tbody>";
+    for (var i=0; i<unmatchedValues.length; i++){
+      var u = unmatchedValues[i];
+      var suggested = null;
+      for (var j=0; j<catalog.length; j++) if (catalog[j]._id === u.suggestedId) suggested = catalog[j];
+      html += "<tr>"
+        + "<td><input type='checkbox' data-i='" + i + "' /></td>"
+        + "<td>" + esc(u.spellings.join(" / ")) + "</td>"
+        + "<td>" + u.count + "</td>"
+        + "<td>" + esc(u.categories.join(", ")) + "</td>"
+        + "<td>" + (suggested ? esc(suggested.name) : "<span class='muted'>\u2014</span>") + "</td>"
+        + "</tr>";
+    }
+    list.innerHTML = html + "</tbody></table>";
+  }
+
+  async function loadUnmatched(){
+    var out = await api("/api/catalog/unmatched?kind=" + encodeURIComponent(val("unmatchedKind")), { method: "GET" });
+    unmatchedValues = out.values || [];
+    renderFoldTargets();
+    renderUnmatched();
+  }
+
+  async function loadCatalog(){
+    var out = await api("/api/catalog", { method: "GET" });
+    catalog = out.entries || [];
+    renderCatalogOptions();
+    if (isAdmin() && !embedMode) renderCatalogAdmin();
+  }
+
+  async function loadScoringModel(){
+    var out = await api("/api/scoring-model", { method: "GET" });
+    scoringModel = out.model;
+    renderCriteria();
+    updateTimePreview();
+    if (isAdmin()) setVal("scoringJson", JSON.stringify(scoringModel, null, 2));
+  }
+
+  function buildCrmLink() {
+    var base = location.origin + "/";
+    var name = String(val("customerName") || "").trim();
+    if (!name) return base;
+    var link;
+    if (currentCustomer && currentCustomer.dynamicsAccountId) {
+      link = base + "?accountId=" + encodeURIComponent(currentCustomer.dynamicsAccountId) + "&embed=1";
+    } else if (currentCustomer) {
+      link = base + "?customerId=" + encodeURIComponent(currentCustomer._id) + "&embed=1";
+    } else {
+      link = base + "?customerName=" + encodeURIComponent(name) + "&embed=1";
+    }
+    var filters = addFilters(new URLSearchParams()).toString();
+    if (filters) link += "&" + filters;
+    if (embedToken) link += "&token=" + encodeURIComponent(embedToken);
+    return link;
+  }
+
+  function updateCrmLink() {
+    var linkEl = el("crmLink");
+    if (!linkEl) return;
+    linkEl.value = buildCrmLink();
+  }
+
+  function initSeg(segId, hiddenId) {
+    var seg = el(segId);
+    if (!seg) return;
+
+    function setActive(v, silent) {
+      setVal(hiddenId, String(v));
+      var btns = seg.querySelectorAll("button[data-v]");
+      for (var i=0; i<btns.length; i++) {
+        var b = btns[i];
+        var bv = b.getAttribute("data-v");
+        if (String(bv) === String(v)) b.classList.add("active");
+        else b.classList.remove("active");
+      }
+      if (!silent) updateTimePreview();
+    }
+
+    // initSeg runs again on edit/reset to re-mark the active button; only bind the click once.
+    if (!seg.getAttribute("data-bound")) {
+      seg.setAttribute("data-bound", "1");
+      seg.addEventListener("click", function(e) {
+        var t = e.target;
+        if (!t) return;
+        if (t.tagName && t.tagName.toLowerCase() === "button") {
+          var v = t.getAttribute("data-v");
+          if (v) setActive(v);
+        }
+      });
+    }
+
+    setActive(val(hiddenId) || "5", true);
+  }
+
+  async function api(path, opts, retried){
+    opts = opts || {};
+    var headers = Object.assign({}, opts.headers || {});
+    var token = getToken();
+    if (token) headers["authorization"] = "Bearer " + token;
+    var res = await fetch(path, Object.assign({}, opts, { headers: headers }));
+    var data = null;
+    try { data = await res.json(); } catch(_e) { data = null; }
+    if (res.status === 401 && !retried) {
+      var entered = window.prompt("Enter your Technology Matrix access token or API key:");
+      if (entered && entered.trim()) {
+        setToken(entered.trim());
+        return api(path, opts, true);
+      }
+    }
+    if (!res.ok) {
+      var msg = (data && (data.error || data.message)) ? (data.error || data.message) : ("HTTP " + res.status);
+      if (typeof msg === "object") {
+        try { msg = JSON.stringify(msg); } catch(_e2) { msg = String(msg); }
+      }
+      var err = new Error(String(msg));
+      err.status = res.status;
+      if (data && data.errors) err.errors = data.errors;
+      err.data = data;
+      throw err;
+    }
+    return data;
+  }
+
+  async function loadMe(){
+    var out = await api("/api/me", { method: "GET" });
+    me = { user: out.user, role: out.role, team: out.team };
+
+    var sb = el("saveBtn");
+    if (sb) {
+      sb.disabled = !canEdit();
+      sb.title = canEdit() ? "" : "Read-only access (" + me.role + ")";
+    }
+
+    var etr = el("embedTokenRow");
+    if (etr) etr.classList.toggle("hidden", !isAdmin());
+
+    var ip = el("importPanel");
+    if (ip) ip.classList.toggle("hidden", !canEdit());
+
+    var sp = el("scoringPanel");
+    if (sp) sp.classList.toggle("hidden", !isAdmin() || embedMode);
 
-        <div class="row" style="margin-top:10px;">
-          <div>
-            <label>Open / Create Customer</label>
-            <input id="browseCustomerName" placeholder="Type a customer name…" />
-          </div>
-          <div style="max-width:160px;">
-            <label>&nbsp;</label>
-            <button type="button" id="openCustomerBtn" class="primary">Open</button>
-          </div>
-        </div>
+    var cp = el("categoriesPanel");
+    if (cp) cp.classList.toggle("hidden", !isAdmin() || embedMode);
 
-        <div id="browseHint" class="muted" style="margin-top:10px;">
-          If no customer is selected, you’ll see a list of customers here.
-        </div>
+    var kp = el("catalogPanel");
+    if (kp) kp.classList.toggle("hidden", !isAdmin() || embedMode);
+  }
+
+  // --- Risk flags: computed by the server on every read ---
+  var RISK_NAMES = { eos: "End of support", contract: "Contract", aging: "Aging" };
+
+  function riskBadges(risks){
+    var html = "";
+    for (var i=0; i<(risks || []).length; i++){
+      var r = risks[i];
+      html += '<span class="risk ' + esc(r.severity) + '" title="' + esc(r.label + (r.date ? " (" + r.date + ")" : "")) + '">'
+        + esc(r.label) + '</span>';
+    }
+    return html ? '<div>' + html + '</div>' : "";
+  }
+
+  function riskCountBadges(counts){
+    if (!counts || !counts.flagged) return "";
+    var html = "";
+    for (var code in RISK_NAMES){
+      if (counts[code]) html += '<span class="risk">' + esc(RISK_NAMES[code]) + ' \u00d7' + counts[code] + '</span>';
+    }
+    return '<div class="muted">' + counts.flagged + ' flagged item' + (counts.flagged === 1 ? '' : 's') + '</div>' + html;
+  }
+
+  function renderCustomerList(customers){
+    var tbody = el("tbody");
+    if (!tbody) return;
+    renderChart(null);
+
+    // Adjust headers for browse mode
+    el("th1").textContent = "Open";
+    el("th2").textContent = "Customer";
+    el("th3").textContent = "";
+    el("th4").textContent = "Count";
+    el("th5").textContent = "Risks";
+
+    if (!customers || !customers.length) {
+      tbody.innerHTML = '<tr><td colspan="6" class="muted">No customers found yet.</td></tr>';
+      return;
+    }
+
+    var html = "";
+    for (var i=0; i<customers.length; i++){
+      var c = customers[i] || {};
+      var name = String(c.customerName || "").trim();
+      var count = Number(c.count || 0);
+
+      html += '<tr>'
+        + '<td><button data-open="' + esc(name) + '">Open</button></td>'
+        + '<td><b>' + esc(name) + '</b></td>'
+        + '<td></td>'
+        + '<td>' + esc(String(count)) + '</td>'
+        + '<td>' + riskCountBadges(c.risks) + '</td>'
+        + '<td></td>'
+        + '</tr>';
+    }
+    tbody.innerHTML = html;
+
+    var btns = tbody.querySelectorAll("button[data-open]");
+    for (var j=0; j<btns.length; j++){
+      (function(btn){
+        btn.addEventListener("click", function(){
+          var name = btn.getAttribute("data-open") || "";
+          setVal("customerName", name);
+          updateCrmLink();
+          refresh().catch(function(){});
+        });
+      })(btns[j]);
+    }
+  }
+
+  // Item-mode header links and the GET /api/items sort fields behind each.
+  var ITEM_SORTS = {
+    timeCode: ["timeCode"],
+    category: ["category", "subcategory"],
+    solution: ["solution"],
+    vendor: ["vendor"],
+    contractExpiration: ["contractExpiration"],
+    fit: ["technicalFit", "functionalFit"]
+  };
+
+  function sortParam(){
+    if (!itemSort.key) return "";
+    return ITEM_SORTS[itemSort.key].map(function(f){ return (itemSort.dir < 0 ? "-" : "") + f; }).join(",");
+  }
+
+  function sortLink(key, label){
+    var arrow = itemSort.key === key ? (itemSort.dir < 0 ? " \u25bc" : " \u25b2") : "";
+    return '<a href="#" class="sort" data-sort="' + key + '">' + esc(label) + arrow + '</a>';
+  }
+
+  function renderRows(items){
+    var tbody = el("tbody");
+    if (!tbody) return;
+
+    // Restore headers for item mode
+    el("th1").innerHTML = sortLink("timeCode", "TIME");
+    el("th2").innerHTML = sortLink("category", "Category");
+    el("th3").innerHTML = sortLink("solution", "Solution") + " \u00b7 " + sortLink("vendor", "Vendor") + " \u00b7 " + sortLink("contractExpiration", "Expiration");
+    el("th4").innerHTML = sortLink("fit", "Fit");
+    el("th5").textContent = "Notes";
+
+    if (!items || !items.length) {
+      tbody.innerHTML = '<tr><td colspan="6" class="muted">No data yet.</td></tr>';
+      return;
+    }
+
+    var html = "";
+    for (var i=0; i<items.length; i++){
+      var it = items[i] || {};
+      var id = it._id || it.id || "";
+      var code = it.timeCode || "T";
+      var label = it.timeLabel || "";
+      var fit = (it.technicalFit != null ? it.technicalFit : "?") + "/" + (it.functionalFit != null ? it.functionalFit : "?");
+      var sol = esc(it.solution);
+      var ven = esc(it.vendor);
+      var cat = esc(it.category);
+      var notes = esc(it.notes);
+
+      var di = it.dateImplemented ? esc(it.dateImplemented) : "";
+      var ce = it.contractExpiration ? esc(it.contractExpiration) : "";
+
+      var datesLine = "";
+      if (di || ce) {
+        datesLine = '<div class="muted">Impl: ' + (di || "\u2014") + ' \u00b7 Exp: ' + (ce || "\u2014") + '</div>';
+      }
+
+      html += '<tr>'
+        + '<td><span class="pill"><span class="time ' + code + '">' + code + '</span> ' + esc(label) + '</span></td>'
+        + '<td>' + cat + (it.subcategory ? '<div class="muted">' + esc(it.subcategory) + '</div>' : '') + '</td>'
+        + '<td><b>' + sol + '</b><div class="muted">' + ven + '</div>' + datesLine
+        +   costLine(it)
+        +   (it.target ? '<div class="muted">\u2192 ' + esc(targetSummary(it.target)) + '</div>' : '')
+        +   riskBadges(it.risks) + '</td>'
+        + '<td>' + esc(fit) + '</td>'
+        + '<td style="max-width:360px; white-space:pre-wrap;">' + notes + '</td>'
+        + '<td>'
+        +   '<div style="display:flex; gap:8px;">'
+        +     '<button type="button" data-history="' + esc(id) + '">History</button>'
+        +     (canEdit() ? '<button type="button" data-edit="' + esc(id) + '">Edit</button>' : '')
+        +     (canEdit() ? '<button type="button" data-del="' + esc(id) + '">Delete</button>' : '')
+        +   '</div>'
+        + '</td>'
+        + '</tr>';
+    }
+    tbody.innerHTML = html;
+
+    var btns = tbody.querySelectorAll("button[data-del]");
+    for (var k=0; k<btns.length; k++){
+      (function(btn){
+        btn.addEventListener("click", async function(){
+          try {
+            var did = btn.getAttribute("data-del");
+            if (!window.confirm("Delete this item? It can be restored from \u201cRecently deleted\u201d.")) return;
+            await api("/api/items/" + did, { method: "DELETE" });
+            await refresh();
+          } catch(e) {
+            setError(e.message || String(e));
+          }
+        });
+      })(btns[k]);
+    }
+    var hbtns = tbody.querySelectorAll("button[data-history]");
+    for (var h=0; h<hbtns.length; h++){
+      (function(btn){
+        btn.addEventListener("click", function(){
+          var hid = btn.getAttribute("data-history") || "";
+          var label = "";
+          for (var x=0; x<items.length; x++){
+            var ih = items[x] || {};
+            if (String(ih._id || ih.id || "") === String(hid)) { label = (ih.category || "") + " \u00b7 " + (ih.solution || ""); break; }
+          }
+          showHistory(hid, label).catch(function(e){ setError(e.message || String(e)); });
+        });
+      })(hbtns[h]);
+    }
+
+    var ebtns = tbody.querySelectorAll("button[data-edit]");
+    for (var m=0; m<ebtns.length; m++){
+      (function(btn){
+        btn.addEventListener("click", function(){
+          var found = findItem(items, btn.getAttribute("data-edit"));
+          if (!found) { setError("Could not find item to edit."); return; }
+          startEdit(found);
+        });
+      })(ebtns[m]);
+    }
+
+    renderChart(items);
+  }
+
+  function findItem(items, id){
+    for (var x=0; x<items.length; x++){
+      var it = items[x] || {};
+      if (String(it._id || it.id || "") === String(id || "")) return it;
+    }
+    return null;
+  }
+
+  // Server errors are keyed by item field; fits and sub-scores map to their
+  // segmented controls rather than the hidden inputs behind them.
+  var FIT_SEGS = { technicalFit: "techSeg", functionalFit: "funcSeg" };
+
+  function fieldElementId(field){
+    if (FIT_SEGS[field]) return FIT_SEGS[field];
+    var m = /^scores\\.(technical|functional)\\.(.+)$/.exec(field);
+    if (m) return "seg_score_" + m[1] + "_" + m[2];
+    var t = /^target(?:\\.(.+))?$/.exec(field);
+    if (t) return TARGET_INPUTS[t[1]] || "targetSolution";
+    return field;
+  }
+
+  function clearFieldErrors(){
+    var marked = document.querySelectorAll(".invalid");
+    for (var i = 0; i < marked.length; i++) marked[i].classList.remove("invalid");
+    var msgs = document.querySelectorAll(".field-error");
+    for (var j = 0; j < msgs.length; j++) msgs[j].parentNode.removeChild(msgs[j]);
+  }
+
+  // Highlights each field in { field: [messages] }; returns false when none of
+  // them is on the form, so the caller can fall back to the single error line.
+  function showFieldErrors(errors){
+    clearFieldErrors();
+    var shown = false;
+    Object.keys(errors || {}).forEach(function(field){
+      var target = el(fieldElementId(field));
+      if (!target) return;
+      target.classList.add("invalid");
+      var msg = document.createElement("div");
+      msg.className = "field-error";
+      msg.textContent = [].concat(errors[field]).join(" ");
+      target.parentNode.insertBefore(msg, target.nextSibling);
+      shown = true;
+    });
+    return shown;
+  }
+
+  function startEdit(found){
+    clearFieldErrors();
+    hideConflict();
+    editingItem = found;
+    setVal("editingId", found._id || found.id || "");
+    setVal("customerName", found.customerName || "");
+    ensureOption("category", found.category, found.category + " (retired)");
+    setVal("category", found.category || "");
+    renderSubcategoryOptions(found.subcategory || "");
+    setVal("solution", found.solution || "");
+    setVal("vendor", found.vendor || "");
+    renderCatalogOptions();
+    setVal("notes", found.notes || "");
+    setVal("dateImplemented", found.dateImplemented || "");
+    setVal("contractExpiration", found.contractExpiration || "");
+    setCosts(found);
+    setTarget(found.target);
+
+    setVal("technicalFit", String(found.technicalFit || 5));
+    setVal("functionalFit", String(found.functionalFit || 5));
+    initSeg("techSeg", "technicalFit");
+    initSeg("funcSeg", "functionalFit");
+    setScores(found.scores, { technical: found.technicalFit, functional: found.functionalFit });
+    updateTimePreview();
+
+    var sb = el("saveBtn");
+    if (sb) sb.textContent = "Save Changes";
+
+    try { el("solution").scrollIntoView({ behavior: "smooth", block: "center" }); } catch(_e){}
+  }
+
+  // --- Target state: the planned replacement, saved as item.target ---
+  var TARGET_INPUTS = {
+    solution: "targetSolution", vendor: "targetVendor", targetDate: "targetDate",
+    estimatedCost: "targetCost", estimatedAnnualCost: "targetAnnualCost", owner: "targetOwner", status: "targetStatus"
+  };
+  var TARGET_STATUS_LABELS = { proposed: "Proposed", approved: "Approved", "in-progress": "In progress", done: "Done" };
+
+  // Null when nothing but the status is filled in, which clears the plan.
+  function collectTarget(){
+    var t = {};
+    var any = false;
+    for (var k in TARGET_INPUTS){
+      t[k] = String(val(TARGET_INPUTS[k]) || "").trim();
+      if (t[k] && k !== "status") any = true;
+    }
+    return any ? t : null;
+  }
+
+  function setTarget(t){
+    for (var k in TARGET_INPUTS){
+      var v = t && t[k] != null ? String(t[k]) : "";
+      setVal(TARGET_INPUTS[k], k === "status" ? (v || "proposed") : v);
+    }
+  }
+
+  function formatCost(n){
+    return Number(n).toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+
+  // --- Spend: the item's cost fields and the table footer totals ---
+  var COST_INPUTS = ["monthlyCost", "oneTimeCost", "seats", "currency"];
+
+  function setCosts(it){
+    COST_INPUTS.forEach(function(k){ setVal(k, it && it[k] != null ? String(it[k]) : ""); });
+  }
+
+  function money(n, currency){
+    return formatCost(n) + (currency ? " " + currency : "");
+  }
+
+  // Positive savings are a year of today's recurring cost above the target's annual cost.
+  function savingsText(n, currency){
+    if (n == null) return "";
+    return n >= 0 ? "saves " + money(n, currency) + "/yr" : "costs " + money(-n, currency) + "/yr more";
+  }
+
+  function costLine(it){
+    var parts = [];
+    if (it.monthlyCost != null) parts.push(money(it.monthlyCost, it.currency) + "/mo");
+    if (it.oneTimeCost != null) parts.push("one-time " + money(it.oneTimeCost, it.currency));
+    if (it.seats != null) parts.push(formatCost(it.seats) + " seat" + (it.seats === 1 ? "" : "s"));
+    var saved = savingsText(it.estimatedSavings, it.currency);
+    if (saved) parts.push(saved);
+    return parts.length ? '<div class="muted">' + esc(parts.join(" \u00b7 ")) + '</div>' : '';
+  }
+
+  // A { [currency]: amount } map, e.g. "12,000 USD + 800 EUR".
+  function costsText(byCurrency){
+    return Object.keys(byCurrency || {}).sort().map(function(c){ return money(byCurrency[c], c); }).join(" + ");
+  }
+
+  function spendText(t, currency){
+    var parts = [t.items + " item" + (t.items === 1 ? "" : "s")];
+    if (t.monthly) parts.push(money(t.monthly, currency) + "/mo \u00b7 " + money(t.annual, currency) + "/yr");
+    if (t.oneTime) parts.push("one-time " + money(t.oneTime, currency));
+    if (t.seats) parts.push(formatCost(t.seats) + " seat" + (t.seats === 1 ? "" : "s"));
+    if (t.plannedItems) parts.push("est. " + savingsText(t.savings, currency) + " (" + t.plannedItems + " planned)");
+    return parts.join(" \u00b7 ");
+  }
+
+  function renderSpend(spend){
+    var foot = el("spendFoot");
+    if (!foot) return;
+    var html = "";
+    Object.keys(spend || {}).sort().forEach(function(currency){
+      var cur = spend[currency];
+      Object.keys(cur.categories).sort().forEach(function(cat){
+        html += '<tr><td colspan="2">' + esc(cat) + '</td><td colspan="4">' + esc(spendText(cur.categories[cat], currency)) + '</td></tr>';
+      });
+      var who = currentCustomer ? currentCustomer.customerName : "All items";
+      html += '<tr class="total"><td colspan="2">' + esc(who) + ' \u00b7 ' + esc(currency) + '</td><td colspan="4">' + esc(spendText(cur, currency)) + '</td></tr>';
+    });
+    foot.innerHTML = html;
+  }
+
+  function targetSummary(t){
+    var parts = [t.solution + (t.vendor ? " (" + t.vendor + ")" : "")];
+    if (t.targetDate) parts.push("by " + t.targetDate);
+    parts.push(TARGET_STATUS_LABELS[t.status] || t.status || "Proposed");
+    return parts.join(" \u00b7 ");
+  }
+
+  function targetKey(t){
+    if (!t) return "";
+    return ["solution", "vendor", "targetDate", "estimatedCost", "estimatedAnnualCost", "owner", "status"].map(function(k){
+      return t[k] == null ? "" : String(t[k]);
+    }).join("|");
+  }
+
+  // --- Edit conflicts: three-way merge of the form against the server copy ---
+  var MERGE_FIELDS = [
+    { key: "customerName", label: "Customer" },
+    { key: "category", label: "Category" },
+    { key: "subcategory", label: "Subcategory" },
+    { key: "solution", label: "Solution" },
+    { key: "vendor", label: "Vendor" },
+    { key: "technicalFit", label: "Technical fit", fit: "technical" },
+    { key: "functionalFit", label: "Functional fit", fit: "functional" },
+    { key: "dateImplemented", label: "Date implemented" },
+    { key: "contractExpiration", label: "Contract expiration" },
+    { key: "notes", label: "Notes" },
+    { key: "monthlyCost", label: "Monthly cost" },
+    { key: "oneTimeCost", label: "One-time cost" },
+    { key: "seats", label: "Seats / lines" },
+    { key: "currency", label: "Currency" },
+    { key: "target", label: "Target state" }
+  ];
+
+  // A fit is compared by its sub-scores when it has them.
+  function mergeValue(obj, f){
+    if (f.key === "target") return targetKey(obj.target);
+    if (f.fit) {
+      var sc = obj.scores && obj.scores[f.fit];
+      return sc ? JSON.stringify(sc) : String(Number(obj[f.key]) || "");
+    }
+    return String(obj[f.key] == null ? "" : obj[f.key]).trim();
+  }
+
+  function mergeText(obj, f){
+    if (f.key === "target") return obj.target ? targetSummary(obj.target) : "\u2014";
+    if (!f.fit) return mergeValue(obj, f) || "\u2014";
+    var sc = obj.scores && obj.scores[f.fit];
+    if (!sc) return String(obj[f.key] || "\u2014");
+    return Object.keys(sc).map(function(k){ return k + " " + sc[k]; }).join(", ");
+  }
+
+  function hideConflict(){
+    pendingMerge = null;
+    var panel = el("conflictPanel");
+    if (panel) panel.classList.add("hidden");
+  }
+
+  // Fields only one side changed take that side; fields both changed the same
+  // way are settled too. The rest are put to the user, defaulting to the form's.
+  function showConflict(mine, theirs){
+    var base = editingItem || theirs;
+    var picks = {};
+    var contested = [];
+    MERGE_FIELDS.forEach(function(f){
+      var m = mergeValue(mine, f), b = mergeValue(base, f), t = mergeValue(theirs, f);
+      if (m === b) picks[f.key] = "theirs";
+      else if (t === b || t === m) picks[f.key] = "mine";
+      else { picks[f.key] = "mine"; contested.push(f); }
+    });
+    pendingMerge = { mine: mine, theirs: theirs, picks: picks };
+
+    if (!contested.length) return applyMerge();
+
+    var who = theirs.updatedBy ? ("by " + theirs.updatedBy + " ") : "";
+    el("conflictWho").textContent = "Saved " + who + (theirs.updatedAt ? ("at " + new Date(theirs.updatedAt).toLocaleString()) : "");
+    el("conflictBody").innerHTML = contested.map(function(f){
+      var name = "merge_" + f.key;
+      return "<tr><td>" + esc(f.label) + "</td>" +
+        "<td><label><input type='radio' name='" + name + "' value='theirs' /> " + esc(mergeText(theirs, f)) + "</label></td>" +
+        "<td><label><input type='radio' name='" + name + "' value='mine' checked /> " + esc(mergeText(mine, f)) + "</label></td></tr>";
+    }).join("");
+    el("conflictPanel").classList.remove("hidden");
+    setError("");
+    return null;
+  }
+
+  // Loads the merged values into the form against the server copy's version and saves.
+  function applyMerge(){
+    var pm = pendingMerge;
+    if (!pm) return null;
+    var merged = Object.assign({}, pm.theirs, { scores: Object.assign({}, pm.theirs.scores || {}) });
+    MERGE_FIELDS.forEach(function(f){
+      var radio = document.querySelector("input[name=merge_" + f.key + "]:checked");
+      var pick = radio ? radio.value : pm.picks[f.key];
+      if (pick !== "mine") return;
+      merged[f.key] = pm.mine[f.key];
+      if (f.fit) {
+        if (pm.mine.scores && pm.mine.scores[f.fit]) merged.scores[f.fit] = pm.mine.scores[f.fit];
+        else delete merged.scores[f.fit];
+      }
+    });
+    startEdit(merged);
+    editingItem = pm.theirs;
+    return saveItem();
+  }
+
+  // --- TIME quadrant chart (item mode only) ---
+  var TIME_COLORS = { I: "#1f9d55", M: "#d97706", T: "#64748b", E: "#dc2626" };
+
+  function renderChart(items){
+    var panel = el("chartPanel");
+    var body = el("chartBody");
+    if (!panel || !body) return;
+    if (!items || !items.length) {
+      panel.classList.add("hidden");
+      body.innerHTML = "";
+      return;
+    }
+    panel.classList.remove("hidden");
+
+    // Plot area; scores 1-5 sit in the middle of five equal bands, and each
+    // quadrant split falls half a step below the scoring model's "high" cutoff.
+    var L = 56, T = 16, W = 560, H = 360;
+    function px(v){ return L + (Number(v) - 0.5) / 5 * W; }
+    function py(v){ return T + H - (Number(v) - 0.5) / 5 * H; }
+    var cut = (scoringModel && scoringModel.cutoffs) || { technical: 4, functional: 4 };
+    var splitX = px(cut.technical - 0.5), splitY = py(cut.functional - 0.5);
+
+    var svg = '<svg viewBox="0 0 ' + (L + W + 16) + ' ' + (T + H + 44) + '" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="TIME quadrant chart">';
+
+    var quads = [
+      { code: "M", label: "Migrate",   x: L,      y: T,      w: splitX - L,     h: splitY - T },
+      { code: "I", label: "Invest",    x: splitX, y: T,      w: L + W - splitX, h: splitY - T },
+      { code: "E", label: "Eliminate", x: L,      y: splitY, w: splitX - L,     h: T + H - splitY },
+      { code: "T", label: "Tolerate",  x: splitX, y: splitY, w: L + W - splitX, h: T + H - splitY }
+    ];
+    for (var q=0; q<quads.length; q++){
+      var qd = quads[q];
+      svg += '<rect x="' + qd.x + '" y="' + qd.y + '" width="' + qd.w + '" height="' + qd.h + '" fill="' + TIME_COLORS[qd.code] + '" fill-opacity="0.08" />'
+        + '<text x="' + (qd.x + 8) + '" y="' + (qd.y + 18) + '" font-size="13" font-weight="700" fill="' + TIME_COLORS[qd.code] + '">'
+        + qd.code + ' \u00b7 ' + qd.label + '</text>';
+    }
+    svg += '<rect x="' + L + '" y="' + T + '" width="' + W + '" height="' + H + '" fill="none" stroke="#c8c6c4" />'
+      + '<line x1="' + splitX + '" y1="' + T + '" x2="' + splitX + '" y2="' + (T + H) + '" stroke="#999" stroke-dasharray="4 4" />'
+      + '<line x1="' + L + '" y1="' + splitY + '" x2="' + (L + W) + '" y2="' + splitY + '" stroke="#999" stroke-dasharray="4 4" />';
+
+    for (var n=1; n<=5; n++){
+      svg += '<text x="' + px(n) + '" y="' + (T + H + 16) + '" font-size="11" fill="#666" text-anchor="middle">' + n + '</text>'
+        + '<text x="' + (L - 8) + '" y="' + (py(n) + 4) + '" font-size="11" fill="#666" text-anchor="end">' + n + '</text>';
+    }
+    svg += '<text x="' + (L + W / 2) + '" y="' + (T + H + 36) + '" font-size="12" fill="#444" text-anchor="middle">Technical fit</text>'
+      + '<text x="14" y="' + (T + H / 2) + '" font-size="12" fill="#444" text-anchor="middle" transform="rotate(-90 14 ' + (T + H / 2) + ')">Functional fit</text>';
+
+    // Items with the same scores are fanned out around the cell centre so
+    // every point stays clickable.
+    var cells = {};
+    for (var i=0; i<items.length; i++){
+      var it = items[i] || {};
+      var key = it.technicalFit + "/" + it.functionalFit;
+      (cells[key] = cells[key] || []).push(i);
+    }
+
+    for (var k in cells){
+      var members = cells[k];
+      for (var j=0; j<members.length; j++){
+        var idx = members[j];
+        var item = items[idx] || {};
+        var cx = px(item.technicalFit), cy = py(item.functionalFit);
+        if (members.length > 1) {
+          var angle = (2 * Math.PI * j) / members.length;
+          var r = Math.min(30, 10 + members.length * 3);
+          cx += Math.cos(angle) * r;
+          cy += Math.sin(angle) * r;
+        }
+        var code = item.timeCode || "T";
+        var name = String(item.solution || "");
+        var short = name.length > 18 ? name.slice(0, 17) + "\u2026" : name;
+        svg += '<g class="pt" data-idx="' + idx + '">'
+          + '<title>' + esc(name + (item.vendor ? " (" + item.vendor + ")" : "") + " \u2014 " + (item.category || "")
+          + " \u00b7 " + item.technicalFit + "/" + item.functionalFit + " " + (item.timeLabel || "")) + '</title>'
+          + '<circle cx="' + cx.toFixed(1) + '" cy="' + cy.toFixed(1) + '" r="7" fill="' + (TIME_COLORS[code] || "#64748b") + '" stroke="#fff" stroke-width="1.5" />'
+          + '<text x="' + (cx + 10).toFixed(1) + '" y="' + (cy + 4).toFixed(1) + '" font-size="11" fill="#222">' + esc(short) + '</text>'
+          + '</g>';
+      }
+    }
+    body.innerHTML = svg + '</svg>';
+
+    var pts = body.querySelectorAll("g.pt");
+    for (var p=0; p<pts.length; p++){
+      (function(g){
+        g.addEventListener("click", function(){
+          var item = items[Number(g.getAttribute("data-idx"))];
+          if (!item) return;
+          if (canEdit()) startEdit(item);
+          else showHistory(item._id || item.id, (item.category || "") + " \u00b7 " + (item.solution || "")).catch(function(e){ setError(e.message || String(e)); });
+        });
+      })(pts[p]);
+    }
+  }
+
+  function renderDeleted(items){
+    var tbody = el("tbody");
+    if (!tbody) return;
+    renderChart(null);
+
+    el("th1").textContent = "Deleted";
+    el("th2").textContent = "Category / Customer";
+    el("th3").textContent = "Solution";
+    el("th4").textContent = "Deleted by";
+    el("th5").textContent = "Notes";
+
+    if (!items || !items.length) {
+      tbody.innerHTML = '<tr><td colspan="6" class="muted">Nothing has been deleted recently.</td></tr>';
+      return;
+    }
+
+    var html = "";
+    for (var i=0; i<items.length; i++){
+      var it = items[i] || {};
+      var id = it._id || it.id || "";
+      html += '<tr>'
+        + '<td>' + esc(it.deletedAt ? new Date(it.deletedAt).toLocaleString() : "") + '</td>'
+        + '<td>' + esc(it.category) + '<div class="muted">' + esc(it.customerName) + '</div></td>'
+        + '<td><b>' + esc(it.solution) + '</b><div class="muted">' + esc(it.vendor) + '</div></td>'
+        + '<td>' + esc(it.deletedBy) + '</td>'
+        + '<td style="max-width:360px; white-space:pre-wrap;">' + esc(it.notes) + '</td>'
+        + '<td>' + (canEdit() ? '<button type="button" data-restore="' + esc(id) + '">Restore</button>' : '') + '</td>'
+        + '</tr>';
+    }
+    tbody.innerHTML = html;
 
-        <div style="margin-top: 14px; overflow:auto;">
-          <table>
-            <thead>
-              <tr>
-                <th id="th1">TIME</th>
-                <th id="th2">Category / Customer</th>
-                <th id="th3">Solution</th>
-                <th id="th4">Fit / Count</th>
-                <th id="th5">Notes</th>
-                <th></th>
-              </tr>
-            </thead>
-            <tbody id="tbody">
-              <tr><td colspan="6" class="muted">Loading…</td></tr>
-            </tbody>
-          </table>
-        </div>
-      </div>
-    </div>
+    var btns = tbody.querySelectorAll("button[data-restore]");
+    for (var k=0; k<btns.length; k++){
+      (function(btn){
+        btn.addEventListener("click", async function(){
+          try {
+            var rid = btn.getAttribute("data-restore");
+            await api("/api/items/" + encodeURIComponent(rid) + "/restore", { method: "POST" });
+            await refresh();
+          } catch(e) {
+            setError(e.message || String(e));
+          }
+        });
+      })(btns[k]);
+    }
+  }
 
-    <div id="crmLinkPanel" class="card" style="margin-top:12px;">
-      <label>Dynamics iFrame Link (paste into CRM link field)</label>
-      <div class="row">
-        <input id="crmLink" readonly />
-        <button type="button" id="copyCrmLink">Copy</button>
-      </div>
-      <div class="muted">Uses <b>customerName</b> and <b>embed=1</b>.</div>
-    </div>
-  </div>
+  // The search, dashboard and renewals views are cross-customer and replace the
+  // matrix table; "Recently deleted" reuses it. Each button toggles back to the matrix.
+  var VIEW_BUTTONS = {
+    dashboard: ["dashboardBtn", "Portfolio"],
+    renewals: ["renewalsBtn", "Renewals"],
+    compare: ["compareBtn", "Compare"],
+    roadmap: ["roadmapBtn", "Roadmap"],
+    deleted: ["deletedBtn", "Recently deleted"]
+  };
 
-<script>
-(function(){
-  function el(id){ return document.getElementById(id); }
-  function val(id){ var n = el(id); return n ? (n.value || "") : ""; }
-  function setVal(id, v){ var n = el(id); if (n) n.value = v; }
-  function esc(s){
-    return String(s||"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");
+  function setView(name){
+    view = name || "matrix";
+    for (var k in VIEW_BUTTONS){
+      var b = el(VIEW_BUTTONS[k][0]);
+      if (b) b.textContent = view === k ? "Back to matrix" : VIEW_BUTTONS[k][1];
+    }
+    var own = view === "search" || view === "dashboard" || view === "renewals" || view === "compare" || view === "roadmap";
+    el("searchPanel").classList.toggle("hidden", view !== "search");
+    el("dashboardPanel").classList.toggle("hidden", view !== "dashboard");
+    el("renewalsPanel").classList.toggle("hidden", view !== "renewals");
+    el("comparePanel").classList.toggle("hidden", view !== "compare");
+    el("roadmapPanel").classList.toggle("hidden", view !== "roadmap");
+    el("matrixTable").classList.toggle("hidden", own);
+    if (own) renderChart(null);
+    var pb = el("purgeBtn");
+    if (pb) pb.classList.toggle("hidden", !(view === "deleted" && isAdmin()));
   }
-  function setError(msg){ var e = el("err"); if (e) e.textContent = msg || ""; }
 
-  function computeTIME(tech, func) {
-    var techHigh = Number(tech) >= 4;
-    var funcHigh = Number(func) >= 4;
-    if (techHigh && funcHigh) return { code:"I", label:"Invest" };
-    if (!techHigh && funcHigh) return { code:"M", label:"Migrate" };
-    if (techHigh && !funcHigh) return { code:"T", label:"Tolerate" };
-    return { code:"E", label:"Eliminate" };
+  function toggleView(name){
+    setView(view === name ? "matrix" : name);
+    refresh().catch(function(e){ setError(e.message || String(e)); });
   }
 
-  function updateTimePreview(){
-    var tech = val("technicalFit");
-    var func = val("functionalFit");
-    var t = computeTIME(tech, func);
-    el("timeCode").textContent = t.code;
-    el("timeLabel").textContent = t.label;
-    el("timeCode").className = "time " + t.code;
+  function openCustomerByName(name){
+    setView("matrix");
+    setVal("customerName", name || "");
+    updateCrmLink();
+    return refresh().catch(function(e){ setError(e.message || String(e)); });
   }
 
-  function buildCrmLink() {
-    var base = location.origin + "/";
+  var FIELD_LABELS = { customerName: "Customer", solution: "Solution", vendor: "Vendor", notes: "Notes" };
+
+  async function loadSearch(){
+    var text = String(val("searchBox") || "").trim();
     var name = String(val("customerName") || "").trim();
-    if (!name) return base;
-    return base + "?customerName=" + encodeURIComponent(name) + "&embed=1";
+    el("searchScopeBlock").classList.toggle("hidden", !name);
+    el("searchCustomerLabel").textContent = name;
+
+    var q = new URLSearchParams({ q: text });
+    addFilters(q);
+    if (val("searchTime")) q.set("timeCode", val("searchTime"));
+    if (name && el("searchThisCustomer").checked) {
+      if (currentCustomer) q.set("customerId", currentCustomer._id);
+      else q.set("customerName", name);
+    }
+
+    var out = await api("/api/search?" + q.toString(), { method: "GET" });
+    var results = (out && out.results) ? out.results : [];
+    el("searchSummary").textContent = out.total + " match(es) for \u201c" + text + "\u201d" + (out.truncated ? " \u2014 showing the first " + results.length + "." : ".");
+
+    if (!results.length) {
+      el("searchBody").innerHTML = '<tr><td colspan="5" class="muted">Nothing matches.</td></tr>';
+      return;
+    }
+
+    var html = "";
+    for (var i=0; i<results.length; i++){
+      var it = results[i].item || {};
+      var code = it.timeCode || "T";
+      var hits = "";
+      var matches = results[i].matches || [];
+      for (var m=0; m<matches.length; m++){
+        // html is escaped server-side; only <mark> tags are added.
+        hits += '<div class="hit"><span class="muted">' + esc(FIELD_LABELS[matches[m].field] || matches[m].field) + ':</span> ' + matches[m].html + '</div>';
+      }
+      html += '<tr>'
+        + '<td><button type="button" data-search-idx="' + i + '">' + esc(it.customerName) + '</button></td>'
+        + '<td>' + esc(it.category) + '</td>'
+        + '<td><b>' + esc(it.solution) + '</b><div class="muted">' + esc(it.vendor) + '</div></td>'
+        + '<td><span class="pill"><span class="time ' + esc(code) + '">' + esc(code) + '</span> ' + esc(it.timeLabel) + '</span></td>'
+        + '<td>' + hits + '</td>'
+        + '</tr>';
+    }
+    el("searchBody").innerHTML = html;
+
+    var btns = el("searchBody").querySelectorAll("button[data-search-idx]");
+    for (var b=0; b<btns.length; b++){
+      (function(btn){
+        btn.addEventListener("click", function(){
+          var item = results[Number(btn.getAttribute("data-search-idx"))].item;
+          openCustomerByName(item.customerName).then(function(){
+            if (canEdit()) startEdit(item);
+          });
+        });
+      })(btns[b]);
+    }
   }
 
-  function updateCrmLink() {
-    var linkEl = el("crmLink");
-    if (!linkEl) return;
-    linkEl.value = buildCrmLink();
+  function pct(n, total){
+    return total ? (Math.round(n / total * 1000) / 10) : 0;
   }
 
-  function initSeg(segId, hiddenId) {
-    var seg = el(segId);
-    if (!seg) return;
+  function renderDashboard(out){
+    var codes = ["I", "M", "T", "E"];
+    var labels = { I: "Invest", M: "Migrate", T: "Tolerate", E: "Eliminate" };
+    var total = out.total || 0;
 
-    function setActive(v) {
-      setVal(hiddenId, String(v));
-      var btns = seg.querySelectorAll("button[data-v]");
-      for (var i=0; i<btns.length; i++) {
-        var b = btns[i];
-        var bv = b.getAttribute("data-v");
-        if (String(bv) === String(v)) b.classList.add("active");
-        else b.classList.remove("active");
+    var html = '<div style="margin-top:12px;"><b>' + esc(String(total)) + '</b> item(s) across <b>' + esc(String(out.customers || 0)) + '</b> customer(s)</div>'
+      + '<div style="display:flex; gap:8px; flex-wrap:wrap; margin-top:8px;">';
+    for (var c=0; c<codes.length; c++){
+      var n = out.time ? out.time[codes[c]] : 0;
+      html += '<span class="pill"><span class="time ' + codes[c] + '">' + codes[c] + '</span> ' + labels[codes[c]]
+        + ' \u00b7 ' + esc(String(n)) + ' (' + pct(n, total) + '%)</span>';
+    }
+    html += '</div>';
+
+    if (!total) {
+      el("dashboardBody").innerHTML = html + '<div class="muted" style="margin-top:12px;">No items match these filters.</div>';
+      return;
+    }
+
+    html += '<h4>TIME by category</h4><table><thead><tr><th>Category</th><th style="width:60px;">Items</th><th style="width:40%;">Distribution</th>'
+      + '<th style="width:36px;">I</th><th style="width:36px;">M</th><th style="width:36px;">T</th><th style="width:36px;">E</th></tr></thead><tbody>';
+    var cats = out.byCategory || [];
+    for (var i=0; i<cats.length; i++){
+      var row = cats[i];
+      var bar = '<div class="bar">';
+      for (var j=0; j<codes.length; j++){
+        if (row[codes[j]]) bar += '<span class="' + codes[j] + '" style="width:' + pct(row[codes[j]], row.total) + '%;" title="' + labels[codes[j]] + ': ' + row[codes[j]] + '"></span>';
       }
-      updateTimePreview();
+      bar += '</div>';
+      html += '<tr><td>' + esc(row.category) + '</td><td>' + row.total + '</td><td>' + bar + '</td>'
+        + '<td>' + row.I + '</td><td>' + row.M + '</td><td>' + row.T + '</td><td>' + row.E + '</td></tr>';
     }
+    html += '</tbody></table>';
 
-    seg.addEventListener("click", function(e) {
-      var t = e.target;
-      if (!t) return;
-      if (t.tagName && t.tagName.toLowerCase() === "button") {
-        var v = t.getAttribute("data-v");
-        if (v) setActive(v);
+    function countTable(title, rows, nameKey, nameHeader){
+      var t = '<div><h4>' + title + '</h4><table><thead><tr><th>' + nameHeader + '</th><th style="width:60px;">Items</th><th style="width:80px;">Customers</th></tr></thead><tbody>';
+      for (var r=0; r<rows.length; r++){
+        t += '<tr><td>' + esc(rows[r][nameKey]) + '</td><td>' + rows[r].count + '</td><td>' + rows[r].customers + '</td></tr>';
       }
-    });
+      if (!rows.length) t += '<tr><td colspan="3" class="muted">None recorded.</td></tr>';
+      return t + '</tbody></table></div>';
+    }
+    html += '<div class="row" style="align-items:flex-start;">'
+      + countTable("Most common incumbent vendors", out.topVendors || [], "vendor", "Vendor")
+      + countTable("Most common solutions", out.topSolutions || [], "solution", "Solution")
+      + '</div>';
 
-    setActive(val(hiddenId) || "5");
-  }
+    html += '<div class="row" style="align-items:flex-start;"><div><h4>Customers with the most Eliminate / Migrate items</h4>'
+      + '<table><thead><tr><th>Customer</th><th style="width:36px;">E</th><th style="width:36px;">M</th><th style="width:60px;">Items</th></tr></thead><tbody>';
+    var risk = out.atRiskCustomers || [];
+    for (var k=0; k<risk.length; k++){
+      html += '<tr><td><button type="button" data-dash-customer="' + esc(risk[k].customerName) + '">' + esc(risk[k].customerName) + '</button></td>'
+        + '<td>' + risk[k].E + '</td><td>' + risk[k].M + '</td><td>' + risk[k].total + '</td></tr>';
+    }
+    if (!risk.length) html += '<tr><td colspan="4" class="muted">No Eliminate or Migrate items.</td></tr>';
+    html += '</tbody></table></div>';
 
-  async function api(path, opts){
-    opts = opts || {};
-    var headers = Object.assign({}, opts.headers || {});
-    var res = await fetch(path, Object.assign({}, opts, { headers: headers }));
-    var data = null;
-    try { data = await res.json(); } catch(_e) { data = null; }
-    if (!res.ok) {
-      var msg = (data && (data.error || data.message)) ? (data.error || data.message) : ("HTTP " + res.status);
-      if (typeof msg === "object") {
-        try { msg = JSON.stringify(msg); } catch(_e2) { msg = String(msg); }
-      }
-      throw new Error(String(msg));
+    html += '<div><h4>Average fit by vendor</h4><table><thead><tr><th>Vendor</th><th style="width:60px;">Items</th>'
+      + '<th style="width:80px;">Technical</th><th style="width:80px;">Functional</th></tr></thead><tbody>';
+    var fits = out.vendorFit || [];
+    for (var f=0; f<fits.length; f++){
+      html += '<tr><td>' + esc(fits[f].vendor) + '</td><td>' + fits[f].count + '</td><td>' + fits[f].avgTechnicalFit + '</td><td>' + fits[f].avgFunctionalFit + '</td></tr>';
+    }
+    if (!fits.length) html += '<tr><td colspan="4" class="muted">None recorded.</td></tr>';
+    html += '</tbody></table></div></div>';
+
+    el("dashboardBody").innerHTML = html;
+
+    var btns = el("dashboardBody").querySelectorAll("button[data-dash-customer]");
+    for (var b=0; b<btns.length; b++){
+      (function(btn){
+        btn.addEventListener("click", function(){ openCustomerByName(btn.getAttribute("data-dash-customer")); });
+      })(btns[b]);
     }
-    return data;
   }
 
-  function renderCustomerList(customers){
-    var tbody = el("tbody");
-    if (!tbody) return;
+  async function loadDashboard(){
+    var q = new URLSearchParams({ dateField: val("statsDateField") || "dateImplemented" });
+    addFilters(q);
+    if (val("statsFrom")) q.set("from", val("statsFrom"));
+    if (val("statsTo")) q.set("to", val("statsTo"));
+    renderDashboard(await api("/api/stats?" + q.toString(), { method: "GET" }));
+  }
 
-    // Adjust headers for browse mode
-    el("th1").textContent = "Open";
-    el("th2").textContent = "Customer";
-    el("th3").textContent = "";
-    el("th4").textContent = "Count";
-    el("th5").textContent = "";
+  async function loadRenewals(){
+    var q = new URLSearchParams({ days: val("renewalDays") || "180" });
+    addFilters(q);
+    var code = val("renewalTime");
+    if (code) q.set("timeCode", code);
 
-    if (!customers || !customers.length) {
-      tbody.innerHTML = '<tr><td colspan="6" class="muted">No customers found yet.</td></tr>';
+    var out = await api("/api/renewals?" + q.toString(), { method: "GET" });
+    var list = (out && out.renewals) ? out.renewals : [];
+    el("renewalsSummary").textContent = list.length + " contract(s) expiring between " + out.from + " and " + out.to + ".";
+
+    if (!list.length) {
+      el("renewalsBody").innerHTML = '<tr><td colspan="5" class="muted">No contracts expire in this window.</td></tr>';
       return;
     }
 
     var html = "";
-    for (var i=0; i<customers.length; i++){
-      var c = customers[i] || {};
-      var name = String(c.customerName || "").trim();
-      var count = Number(c.count || 0);
-
+    for (var i=0; i<list.length; i++){
+      var it = list[i] || {};
+      var code2 = it.timeCode || "T";
       html += '<tr>'
-        + '<td><button data-open="' + esc(name) + '">Open</button></td>'
-        + '<td><b>' + esc(name) + '</b></td>'
-        + '<td></td>'
-        + '<td>' + esc(String(count)) + '</td>'
-        + '<td></td>'
-        + '<td></td>'
+        + '<td><b>' + esc(it.contractExpiration) + '</b><div class="muted">'
+        +   (it.daysLeft === 0 ? "today" : "in " + esc(String(it.daysLeft)) + " day" + (it.daysLeft === 1 ? "" : "s")) + '</div></td>'
+        + '<td><button type="button" data-renewal-customer="' + esc(it.customerName) + '">' + esc(it.customerName) + '</button></td>'
+        + '<td>' + esc(it.category) + '</td>'
+        + '<td><b>' + esc(it.solution) + '</b><div class="muted">' + esc(it.vendor) + '</div></td>'
+        + '<td><span class="pill"><span class="time ' + esc(code2) + '">' + esc(code2) + '</span> ' + esc(it.timeLabel) + '</span></td>'
         + '</tr>';
     }
-    tbody.innerHTML = html;
+    el("renewalsBody").innerHTML = html;
 
-    var btns = tbody.querySelectorAll("button[data-open]");
+    var btns = el("renewalsBody").querySelectorAll("button[data-renewal-customer]");
     for (var j=0; j<btns.length; j++){
       (function(btn){
-        btn.addEventListener("click", function(){
-          var name = btn.getAttribute("data-open") || "";
-          setVal("customerName", name);
-          updateCrmLink();
-          refresh().catch(function(){});
-        });
+        btn.addEventListener("click", function(){ openCustomerByName(btn.getAttribute("data-renewal-customer")); });
       })(btns[j]);
     }
   }
 
-  function renderRows(items){
-    var tbody = el("tbody");
-    if (!tbody) return;
+  // --- Roadmap: the open customer's target states by quarter ---
+  function roadmapRow(it, dateText){
+    var t = it.target || {};
+    return '<tr>'
+      + '<td>' + esc(dateText) + '</td>'
+      + '<td><span class="time ' + esc(it.timeCode) + '">' + esc(it.timeCode) + '</span> <b>' + esc(it.solution) + '</b>'
+      +   '<div class="muted">' + esc(it.category) + (it.vendor ? ' \u00b7 ' + esc(it.vendor) : '') + '</div></td>'
+      + '<td>' + (it.target ? '<b>' + esc(t.solution) + '</b><div class="muted">' + esc(t.vendor || "") + '</div>' : '<span class="muted">No plan yet</span>') + '</td>'
+      + '<td>' + esc(t.owner || "") + '</td>'
+      + '<td>' + (it.target ? esc(TARGET_STATUS_LABELS[t.status] || t.status) : '') + '</td>'
+      + '<td>' + (t.estimatedCost != null ? esc(money(t.estimatedCost, it.currency)) : '')
+      +   (it.estimatedSavings != null ? '<div class="muted">' + esc(savingsText(it.estimatedSavings, it.currency)) + '</div>' : '') + '</td>'
+      + '</tr>';
+  }
 
-    // Restore headers for item mode
-    el("th1").textContent = "TIME";
-    el("th2").textContent = "Category";
-    el("th3").textContent = "Solution";
-    el("th4").textContent = "Fit";
-    el("th5").textContent = "Notes";
+  function roadmapGroup(title, note){
+    return '<tr><td colspan="6" style="background:#f8fafc;"><b>' + esc(title) + '</b>'
+      + (note ? ' <span class="muted">' + esc(note) + '</span>' : '') + '</td></tr>';
+  }
 
-    if (!items || !items.length) {
-      tbody.innerHTML = '<tr><td colspan="6" class="muted">No data yet.</td></tr>';
+  async function loadRoadmap(){
+    var key = currentCustomer ? currentCustomer._id : String(val("customerName") || "").trim();
+    if (!key) {
+      el("roadmapSummary").textContent = "Open a customer to see its roadmap.";
+      el("roadmapBody").innerHTML = "";
+      return;
+    }
+
+    var q = addFilters(new URLSearchParams());
+    if (val("roadmapStatus")) q.set("status", val("roadmapStatus"));
+    var out = await api("/api/customers/" + encodeURIComponent(key) + "/roadmap?" + q.toString(), { method: "GET" });
+
+    var totals = out.totals || {};
+    var counts = [];
+    for (var s in TARGET_STATUS_LABELS) if (totals.byStatus && totals.byStatus[s]) counts.push(totals.byStatus[s] + " " + TARGET_STATUS_LABELS[s].toLowerCase());
+    el("roadmapSummary").textContent = (totals.planned || 0) + " planned change(s)"
+      + (counts.length ? " (" + counts.join(", ") + ")" : "")
+      + (costsText(totals.estimatedCost) ? ", estimated " + costsText(totals.estimatedCost) : "")
+      + ". " + out.unplanned.length + " Migrate/Eliminate item(s) without a plan.";
+
+    var html = "";
+    for (var i=0; i<out.quarters.length; i++){
+      var g = out.quarters[i];
+      html += roadmapGroup(g.quarter, g.from + " \u2013 " + g.to + (costsText(g.estimatedCost) ? " \u00b7 est. " + costsText(g.estimatedCost) : ""));
+      for (var j=0; j<g.items.length; j++) html += roadmapRow(g.items[j], g.items[j].target.targetDate);
+    }
+    if (out.unscheduled.length) {
+      html += roadmapGroup("No target date", "");
+      for (var u=0; u<out.unscheduled.length; u++) html += roadmapRow(out.unscheduled[u], "\u2014");
+    }
+    if (out.unplanned.length && !val("roadmapStatus")) {
+      html += roadmapGroup("Needs a plan", "Migrate and Eliminate items with no target state");
+      for (var n=0; n<out.unplanned.length; n++) html += roadmapRow(out.unplanned[n], "\u2014");
+    }
+    el("roadmapBody").innerHTML = html || '<tr><td colspan="6" class="muted">No plans recorded yet.</td></tr>';
+  }
+
+  // --- Compare: snapshots of the open customer against each other or the live items ---
+  var COMPARE_STATUS = { added: "Added", removed: "Removed", moved: "Moved", changed: "Changed", unchanged: "Unchanged" };
+  var COMPARE_LABELS = {
+    timeCode: "TIME", technicalFit: "Technical fit", functionalFit: "Functional fit",
+    subcategory: "Subcategory", vendor: "Vendor", contractExpiration: "Expiration"
+  };
+
+  function compareBase(){
+    var key = currentCustomer ? currentCustomer._id : String(val("customerName") || "").trim();
+    return key ? "/api/customers/" + encodeURIComponent(key) : "";
+  }
+
+  function compareCell(it){
+    if (!it) return '<span class="muted">\u2014</span>';
+    return '<span class="pill"><span class="time ' + esc(it.timeCode) + '">' + esc(it.timeCode) + '</span> ' + esc(it.timeLabel) + '</span>'
+      + '<div><b>' + esc(it.solution) + '</b></div>'
+      + '<div class="muted">' + (it.vendor ? esc(it.vendor) + ' \u00b7 ' : '') + 'Fit ' + esc(String(it.technicalFit)) + '/' + esc(String(it.functionalFit)) + '</div>';
+  }
+
+  function compareChanges(r){
+    var html = "";
+    for (var i=0; i<(r.changes || []).length; i++){
+      var f = r.changes[i];
+      var b = r.before[f] == null ? "\u2014" : String(r.before[f]);
+      var a = r.after[f] == null ? "\u2014" : String(r.after[f]);
+      html += '<div class="muted">' + esc(COMPARE_LABELS[f] || f) + ': ' + esc(b) + ' \u2192 ' + esc(a) + '</div>';
+    }
+    return html;
+  }
+
+  function sideLabel(s){
+    return s.kind === "live" ? "Live (" + s.date + ")" : s.label + " (" + s.date + ")";
+  }
+
+  function renderCompare(out){
+    el("compareFromHead").textContent = sideLabel(out.from);
+    el("compareToHead").textContent = sideLabel(out.to);
+
+    var parts = [];
+    for (var k in COMPARE_STATUS) if (out.summary[k]) parts.push(out.summary[k] + " " + COMPARE_STATUS[k].toLowerCase());
+    var moves = [];
+    var codes = ["I", "M", "T", "E"];
+    var names = { I: "Invest", M: "Migrate", T: "Tolerate", E: "Eliminate" };
+    for (var c=0; c<codes.length; c++){
+      moves.push(names[codes[c]] + " " + out.from.time[codes[c]] + " \u2192 " + out.to.time[codes[c]]);
+    }
+    el("compareSummary").textContent = (parts.length ? parts.join(", ") : "No items on either side") + ". " + moves.join(" \u00b7 ") + ".";
+
+    if (!out.rows.length) {
+      el("compareBody").innerHTML = '<tr><td colspan="4" class="muted">Nothing to compare.</td></tr>';
+      return;
+    }
+    var html = "";
+    for (var i=0; i<out.rows.length; i++){
+      var r = out.rows[i];
+      var it = r.after || r.before;
+      html += '<tr>'
+        + '<td><span class="delta ' + esc(r.status) + '">' + esc(COMPARE_STATUS[r.status] || r.status) + '</span>' + compareChanges(r) + '</td>'
+        + '<td>' + esc(it.category) + (it.subcategory ? '<div class="muted">' + esc(it.subcategory) + '</div>' : '') + '</td>'
+        + '<td>' + compareCell(r.before) + '</td>'
+        + '<td>' + compareCell(r.after) + '</td>'
+        + '</tr>';
+    }
+    el("compareBody").innerHTML = html;
+  }
+
+  async function loadCompare(){
+    el("snapshotRow").classList.toggle("hidden", !canEdit());
+    el("deleteSnapshotBtn").classList.toggle("hidden", !isAdmin());
+
+    var base = compareBase();
+    if (!base) {
+      el("compareFrom").innerHTML = "";
+      el("compareTo").innerHTML = "";
+      el("compareBody").innerHTML = "";
+      el("compareSummary").textContent = "Open a customer to take and compare snapshots.";
+      return;
+    }
+
+    var out = await api(base + "/snapshots", { method: "GET" });
+    var list = out.snapshots || [];
+    var from = val("compareFrom");
+    var to = val("compareTo");
+    var opts = "";
+    for (var i=0; i<list.length; i++) opts += optionHtml(list[i]._id, list[i].label + " (" + list[i].date + ")");
+    el("compareFrom").innerHTML = opts;
+    el("compareTo").innerHTML = optionHtml("live", "Live (today)") + opts;
+
+    if (!list.length) {
+      el("compareBody").innerHTML = "";
+      el("compareSummary").textContent = "No snapshots yet. Take one to compare against later.";
       return;
     }
+    setVal("compareFrom", from);
+    if (!val("compareFrom")) el("compareFrom").selectedIndex = 0;
+    setVal("compareTo", to || "live");
+    if (!val("compareTo")) setVal("compareTo", "live");
+
+    var q = new URLSearchParams({ from: val("compareFrom"), to: val("compareTo") });
+    renderCompare(await api(base + "/compare?" + q.toString(), { method: "GET" }));
+  }
+
+  // Exports need the auth header, so fetch the file and hand the browser a blob.
+  async function downloadExport(format){
+    var q = new URLSearchParams({ format: format });
+    var name = String(val("customerName") || "").trim();
+    if (currentCustomer) q.set("customerId", currentCustomer._id);
+    else if (name) q.set("customerName", name);
+    addFilters(q);
+
+    var headers = {};
+    var token = getToken();
+    if (token) headers["authorization"] = "Bearer " + token;
+    var res = await fetch("/api/export?" + q.toString(), { headers: headers });
+    if (!res.ok) {
+      var data = null;
+      try { data = await res.json(); } catch(_e) { data = null; }
+      throw new Error((data && data.error) ? String(data.error) : ("HTTP " + res.status));
+    }
+
+    var blob = await res.blob();
+    var m = /filename="([^"]+)"/.exec(res.headers.get("content-disposition") || "");
+    var a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = m ? m[1] : ("technology-matrix." + format);
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(function(){ URL.revokeObjectURL(a.href); a.remove(); }, 0);
+  }
+
+  // The report is fetched with the auth header like the export, then shown from
+  // a blob URL. The tab is opened first so popup blockers allow it.
+  async function openReport(){
+    var name = String(val("customerName") || "").trim();
+    if (!name) throw new Error("Open a customer to build its report.");
+    var q = addFilters(new URLSearchParams());
+    var path = "/api/report/" + encodeURIComponent(currentCustomer ? currentCustomer._id : name) + (q.toString() ? "?" + q.toString() : "");
+
+    var tab = window.open("", "_blank");
+    try {
+      var headers = {};
+      var token = getToken();
+      if (token) headers["authorization"] = "Bearer " + token;
+      var res = await fetch(path, { headers: headers });
+      if (!res.ok) {
+        var data = null;
+        try { data = await res.json(); } catch(_e) { data = null; }
+        throw new Error((data && data.error) ? String(data.error) : ("HTTP " + res.status));
+      }
+      var href = URL.createObjectURL(await res.blob());
+      if (tab) tab.location.href = href;
+      else window.location.href = href;
+      setTimeout(function(){ URL.revokeObjectURL(href); }, 60000);
+    } catch(e) {
+      if (tab) tab.close();
+      throw e;
+    }
+  }
+
+  // --- CSV import: preview (dry run) first, then import the accepted rows ---
+  var importText = "";
+
+  function renderImportReport(out){
+    var box = el("importReport");
+    if (!box) return;
+    var rows = (out && out.rows) ? out.rows : [];
+
+    var summary = out.dryRun
+      ? (out.accepted + " of " + out.total + " row(s) will be imported, " + out.rejected + " rejected.")
+      : (out.created + " of " + out.total + " row(s) imported, " + (out.rejected + out.failed) + " not imported.");
+
+    var html = '<div class="muted" style="margin-bottom:6px;"><b>' + esc(summary) + '</b></div>'
+      + '<table><thead><tr><th style="width:50px;">Row</th><th>Status</th><th>Customer</th><th>Category</th>'
+      + '<th>Solution</th><th style="width:60px;">Fit</th><th>TIME</th><th style="width:30%;">Problems</th></tr></thead><tbody>';
+    for (var i=0; i<rows.length; i++){
+      var r = rows[i] || {};
+      var it = r.item || {};
+      var code = it.timeCode || "";
+      html += '<tr>'
+        + '<td>' + esc(String(r.row)) + '</td>'
+        + '<td>' + esc(r.status) + '</td>'
+        + '<td>' + esc(it.customerName) + (r.newCustomer ? ' <span class="muted">(new)</span>' : '') + '</td>'
+        + '<td>' + esc(it.category) + '</td>'
+        + '<td><b>' + esc(it.solution) + '</b><div class="muted">' + esc(it.vendor) + '</div></td>'
+        + '<td>' + esc(String(it.technicalFit)) + '/' + esc(String(it.functionalFit)) + '</td>'
+        + '<td>' + (code ? '<span class="pill"><span class="time ' + esc(code) + '">' + esc(code) + '</span> ' + esc(it.timeLabel) + '</span>' : '') + '</td>'
+        + '<td class="error" style="margin:0;">' + esc((r.errors || []).join("; ")) + '</td>'
+        + '</tr>';
+    }
+    box.innerHTML = html + '</tbody></table>';
+  }
+
+  async function runImport(dryRun){
+    if (!importText) throw new Error("Choose a CSV file first.");
+    var q = new URLSearchParams();
+    if (dryRun) q.set("dryRun", "1");
+    var name = String(val("customerName") || "").trim();
+    if (name) q.set("customerName", name);
+
+    var out = await api("/api/import?" + q.toString(), {
+      method: "POST",
+      headers: { "content-type": "text/csv" },
+      body: importText
+    });
+    renderImportReport(out);
+
+    var runBtn = el("importRunBtn");
+    if (runBtn) runBtn.disabled = !(dryRun && out.accepted > 0);
+    if (!dryRun) await refresh();
+  }
+
+  function fmtVal(v){
+    if (v == null || v === "") return "\u2014";
+    if (typeof v === "object") {
+      return Object.keys(v).filter(function(k){ return v[k] != null && v[k] !== ""; }).map(function(k){
+        return k + ": " + (typeof v[k] === "object" ? JSON.stringify(v[k]) : v[k]);
+      }).join(", ");
+    }
+    return String(v);
+  }
+
+  async function showHistory(id, label){
+    var panel = el("historyPanel");
+    var body = el("historyBody");
+    if (!panel || !body) return;
+
+    el("historyTitle").textContent = "History" + (label ? " \u2014 " + label : "");
+    body.innerHTML = '<div class="muted">Loading…</div>';
+    panel.classList.remove("hidden");
+
+    var out = await api("/api/items/" + encodeURIComponent(id) + "/history", { method: "GET" });
+    var entries = (out && out.history) ? out.history : [];
+    if (!entries.length) {
+      body.innerHTML = '<div class="muted">No history recorded for this item.</div>';
+      return;
+    }
+
+    var html = '<table><thead><tr><th>When</th><th>Who</th><th>Action</th><th style="width:50%;">Changes</th></tr></thead><tbody>';
+    for (var i=0; i<entries.length; i++){
+      var e = entries[i] || {};
+      var changes = e.changes || [];
+      var lines = "";
+      for (var j=0; j<changes.length; j++){
+        var c = changes[j] || {};
+        lines += '<div class="change"><b>' + esc(c.field) + '</b>: '
+          + (e.action === "create" ? '' : '<s>' + esc(fmtVal(c.before)) + '</s> → ')
+          + esc(fmtVal(c.after)) + '</div>';
+      }
+      html += '<tr>'
+        + '<td>' + esc(e.at ? new Date(e.at).toLocaleString() : "") + '</td>'
+        + '<td>' + esc(e.user) + '</td>'
+        + '<td>' + esc(e.action) + '</td>'
+        + '<td>' + (lines || '<span class="muted">No field changes</span>') + '</td>'
+        + '</tr>';
+    }
+    body.innerHTML = html + '</tbody></table>';
+  }
+
+  // --- Item filters ---
+  // Kept in the address bar under the API's own parameter names, so a filtered
+  // view can be bookmarked or pasted into a Dynamics iFrame.
+  var FILTER_KEYS = ["category", "vendor", "timeCode", "technicalFitMin", "technicalFitMax", "functionalFitMin", "functionalFitMax", "expiresFrom", "expiresTo", "expiresWithin"];
+  var FILTER_INPUTS = {
+    technicalFitMin: "filterTechMin",
+    technicalFitMax: "filterTechMax",
+    functionalFitMin: "filterFuncMin",
+    functionalFitMax: "filterFuncMax",
+    expiresFrom: "filterExpiresFrom",
+    expiresTo: "filterExpiresTo",
+    expiresWithin: "filterExpiresWithin"
+  };
+
+  function filterParams(){
+    var out = [];
+    filterCategories.forEach(function(c){ out.push(["category", c]); });
+    String(val("filterVendor") || "").split(",").forEach(function(v){
+      v = v.trim();
+      if (v) out.push(["vendor", v]);
+    });
+    var codes = [];
+    var boxes = el("filterTime").querySelectorAll("input:checked");
+    for (var i=0; i<boxes.length; i++) codes.push(boxes[i].value);
+    if (codes.length) out.push(["timeCode", codes.join(",")]);
+    for (var key in FILTER_INPUTS) {
+      var v = val(FILTER_INPUTS[key]);
+      if (v) out.push([key, v]);
+    }
+    return out;
+  }
+
+  function addFilters(q){
+    filterParams().forEach(function(p){ q.append(p[0], p[1]); });
+    return q;
+  }
+
+  function setFilters(qs){
+    filterCategories = qs.getAll("category").filter(Boolean);
+    var opts = el("filterCategory").options;
+    for (var i=0; i<opts.length; i++) opts[i].selected = filterCategories.indexOf(opts[i].value) >= 0;
+    setVal("filterVendor", qs.getAll("vendor").join(", "));
+    var codes = String(qs.get("timeCode") || "").toUpperCase().split(",");
+    var boxes = el("filterTime").querySelectorAll("input");
+    for (var j=0; j<boxes.length; j++) boxes[j].checked = codes.indexOf(boxes[j].value) >= 0;
+    for (var key in FILTER_INPUTS) setVal(FILTER_INPUTS[key], qs.get(key) || "");
+    updateFiltersBtn();
+  }
+
+  function updateFiltersBtn(){
+    var n = filterParams().length;
+    el("filtersBtn").textContent = n ? "Filters (" + n + ")" : "Filters";
+  }
+
+  function syncFilterUrl(){
+    var qs = new URLSearchParams(location.search);
+    FILTER_KEYS.forEach(function(k){ qs.delete(k); });
+    addFilters(qs);
+    var search = qs.toString();
+    try { history.replaceState(null, "", location.pathname + (search ? "?" + search : "")); } catch(_e) {}
+  }
+
+  function onFiltersChanged(){
+    filterCategories = [];
+    var opts = el("filterCategory").options;
+    for (var i=0; i<opts.length; i++) if (opts[i].selected) filterCategories.push(opts[i].value);
+    updateFiltersBtn();
+    syncFilterUrl();
+    updateCrmLink();
+    refresh().catch(function(e){ setError(e.message || String(e)); });
+  }
 
-    var html = "";
-    for (var i=0; i<items.length; i++){
-      var it = items[i] || {};
-      var id = it._id || it.id || "";
-      var code = it.timeCode || "T";
-      var label = it.timeLabel || "";
-      var fit = (it.technicalFit != null ? it.technicalFit : "?") + "/" + (it.functionalFit != null ? it.functionalFit : "?");
-      var sol = esc(it.solution);
-      var ven = esc(it.vendor);
-      var cat = esc(it.category);
-      var notes = esc(it.notes);
+  function setLoadMore(visible, label){
+    var r = el("loadMoreRow");
+    if (r) r.classList.toggle("hidden", !visible);
+    var b = el("loadMoreBtn");
+    if (b) b.textContent = label || "Load more";
+  }
 
-      var di = it.dateImplemented ? esc(it.dateImplemented) : "";
-      var ce = it.contractExpiration ? esc(it.contractExpiration) : "";
+  // Browse mode pages through /api/customers; the "Open / Create" box doubles as a prefix filter.
+  async function loadCustomers(append){
+    var skip = append ? customerPage.skip + customerPage.customers.length : 0;
+    var q = new URLSearchParams({ skip: String(skip), limit: String(CUSTOMER_PAGE_SIZE) });
+    var prefix = String(val("browseCustomerName") || "").trim();
+    if (prefix) q.set("prefix", prefix);
 
-      var datesLine = "";
-      if (di || ce) {
-        datesLine = '<div class="muted">Impl: ' + (di || "—") + ' · Exp: ' + (ce || "—") + '</div>';
-      }
+    var outC = await api("/api/customers?" + q.toString(), { method: "GET" });
+    var page = (outC && outC.customers) ? outC.customers : [];
 
-      html += '<tr>'
-        + '<td><span class="pill"><span class="time ' + code + '">' + code + '</span> ' + esc(label) + '</span></td>'
-        + '<td>' + cat + '</td>'
-        + '<td><b>' + sol + '</b><div class="muted">' + ven + '</div>' + datesLine + '</td>'
-        + '<td>' + esc(fit) + '</td>'
-        + '<td style="max-width:360px; white-space:pre-wrap;">' + notes + '</td>'
-        + '<td>'
-        +   '<div style="display:flex; gap:8px;">'
-        +     '<button type="button" data-edit="' + esc(id) + '">Edit</button>'
-        +     '<button type="button" data-del="' + esc(id) + '">Delete</button>'
-        +   '</div>'
-        + '</td>'
-        + '</tr>';
+    if (append) {
+      customerPage.customers = customerPage.customers.concat(page);
+    } else {
+      customerPage = { skip: 0, customers: page, hasMore: false };
     }
-    tbody.innerHTML = html;
+    customerPage.hasMore = !!(outC && outC.hasMore);
 
-    var btns = tbody.querySelectorAll("button[data-del]");
-    for (var k=0; k<btns.length; k++){
-      (function(btn){
-        btn.addEventListener("click", async function(){
-          try {
-            var did = btn.getAttribute("data-del");
-            await api("/api/items/" + did, { method: "DELETE" });
-            await refresh();
-          } catch(e) {
-            setError(e.message || String(e));
-          }
-        });
-      })(btns[k]);
-    }
-        var ebtns = tbody.querySelectorAll("button[data-edit]");
-    for (var m=0; m<ebtns.length; m++){
-      (function(btn){
-        btn.addEventListener("click", function(){
-          var did = btn.getAttribute("data-edit") || "";
-          var found = null;
+    renderCustomerList(customerPage.customers);
+    setLoadMore(customerPage.hasMore);
+  }
 
-          for (var x=0; x<items.length; x++){
-            var it2 = items[x] || {};
-            var id2 = it2._id || it2.id || "";
-            if (String(id2) === String(did)) { found = it2; break; }
-          }
-          if (!found) { setError("Could not find item to edit."); return; }
+  // Item mode pages through /api/items in the header-selected order.
+  async function loadItems(append){
+    var skip = append ? itemPage.items.length : 0;
+    var q = new URLSearchParams({ customerName: String(val("customerName") || "").trim(), skip: String(skip), limit: String(ITEM_PAGE_SIZE) });
+    addFilters(q);
+    var sort = sortParam();
+    if (sort) q.set("sort", sort);
+    if (!append) q.set("spend", "1");
 
-          setVal("editingId", did);
-          setVal("customerName", found.customerName || "");
-          setVal("category", found.category || "");
-          setVal("solution", found.solution || "");
-          setVal("vendor", found.vendor || "");
-          setVal("notes", found.notes || "");
-          setVal("dateImplemented", found.dateImplemented || "");
-          setVal("contractExpiration", found.contractExpiration || "");
-
-          setVal("technicalFit", String(found.technicalFit || 5));
-          setVal("functionalFit", String(found.functionalFit || 5));
-          initSeg("techSeg", "technicalFit");
-          initSeg("funcSeg", "functionalFit");
-          updateTimePreview();
-
-          var sb = el("saveBtn");
-          if (sb) sb.textContent = "Save Changes";
-
-          try { el("solution").scrollIntoView({ behavior: "smooth", block: "center" }); } catch(_e){}
-        });
-      })(ebtns[m]);
-    }
+    var out = await api("/api/items?" + q.toString(), { method: "GET" });
+    var page = (out && out.items) ? out.items : [];
+
+    if (!append) setCurrentCustomer(out && out.customer ? out.customer : null);
+    itemPage = {
+      items: append ? itemPage.items.concat(page) : page,
+      hasMore: !!(out && out.hasMore),
+      total: Number(out && out.total) || 0
+    };
+
+    renderRows(itemPage.items);
+    if (!append) renderSpend(out && out.spend);
+    setLoadMore(itemPage.hasMore, "Load more (" + itemPage.items.length + " of " + itemPage.total + ")");
   }
 
    async function refresh(){
@@ -764,28 +6941,150 @@ function htmlPage(env) {
     updateCrmLink();
 
     var name = String(val("customerName") || "").trim();
-    var category = val("filterCategory");
+    setLoadMore(false);
+    renderSpend(null);
+
+    if (view === "search") {
+      await loadSearch();
+      return;
+    }
+
+    if (view === "dashboard") {
+      await loadDashboard();
+      return;
+    }
+
+    if (view === "renewals") {
+      await loadRenewals();
+      return;
+    }
+
+    if (view === "compare") {
+      await loadCompare();
+      return;
+    }
+
+    if (view === "roadmap") {
+      await loadRoadmap();
+      return;
+    }
+
+    if (view === "deleted") {
+      var dq = new URLSearchParams({ deleted: "1" });
+      if (name) dq.set("customerName", name);
+      addFilters(dq);
+      var outD = await api("/api/items?" + dq.toString(), { method: "GET" });
+      renderDeleted((outD && outD.items) ? outD.items : []);
+      return;
+    }
 
     if (!name) {
       // Browse mode: show customers list
-      var outC = await api("/api/customers", { method: "GET" });
-      renderCustomerList(outC && outC.customers ? outC.customers : []);
+      setCurrentCustomer(null);
+      await loadCustomers(false);
       return;
     }
 
     // Item mode
-    var q = new URLSearchParams({ customerName: name });
-    if (category) q.set("category", category);
+    await loadItems(false);
+  }
 
-    var out = await api("/api/items?" + q.toString(), { method: "GET" });
-    renderRows((out && out.items) ? out.items : []);
+  function sameCustomerName(c, name){
+    var key = String(name || "").trim().toLowerCase();
+    if (!c || !key) return false;
+    if (String(c.customerName || "").toLowerCase() === key) return true;
+    var aliases = c.aliases || [];
+    for (var i=0; i<aliases.length; i++){
+      if (String(aliases[i]).toLowerCase() === key) return true;
+    }
+    return false;
+  }
+
+  function setCurrentCustomer(c){
+    currentCustomer = c;
+    var panel = el("customerPanel");
+    if (panel) panel.classList.toggle("hidden", !c || embedMode);
+    if (c) {
+      setVal("custName", c.customerName || "");
+      setVal("custAccountId", c.dynamicsAccountId || "");
+      setVal("custAliases", (c.aliases || []).join(", "));
+      el("customerIdLabel").textContent = "\u00b7 ID " + c._id + " \u00b7 " + (c.count || 0) + " item(s)";
+      // Show the canonical name when the customer was opened by an alias.
+      if (String(val("customerName")).trim() !== c.customerName && sameCustomerName(c, val("customerName"))) {
+        setVal("customerName", c.customerName);
+      }
+    }
+    var mr = el("mergeRow");
+    if (mr) mr.classList.toggle("hidden", !isAdmin());
+    var scb = el("saveCustomerBtn");
+    if (scb) scb.disabled = !canEdit();
+    var linked = !!(c && c.dynamicsAccountId && isAdmin());
+    el("crmSyncRow").classList.toggle("hidden", !linked);
+    if (linked && crmStatusFor !== c._id) loadCrmStatus(c._id);
+    updateCrmLink();
+  }
+
+  // Last Dynamics sync for the open customer, loaded once per customer.
+  var crmStatusFor = null;
+
+  function crmStatusText(entry){
+    if (!entry) return "\u00b7 never synced";
+    var when = new Date(entry.at).toLocaleString();
+    var list = entry.opportunities || [];
+    var opened = list.filter(function(o){ return o.opportunityId; }).length;
+    var opps = opened ? ", " + opened + " opportunit" + (opened === 1 ? "y" : "ies") + " opened" : "";
+    if (list.length > opened) opps += ", " + (list.length - opened) + " not linked (no id returned)";
+    return "\u00b7 last sync " + when + " by " + entry.by + (entry.ok ? " \u2014 ok" + opps : " \u2014 failed: " + entry.error);
+  }
+
+  function loadCrmStatus(customerId){
+    crmStatusFor = customerId;
+    el("crmSyncStatus").textContent = "";
+    api("/api/crm/log?limit=1&customerId=" + encodeURIComponent(customerId), { method: "GET" })
+      .then(function(out){
+        if (crmStatusFor === customerId) el("crmSyncStatus").textContent = crmStatusText(out.log && out.log[0]);
+      })
+      .catch(function(){});
+  }
+
+  // Links from Dynamics carry an account ID (or customer ID) instead of a name.
+  async function resolveLinkTarget(){
+    if (!linkTarget) return;
+    var q = new URLSearchParams();
+    if (linkTarget.accountId) q.set("accountId", linkTarget.accountId);
+    if (linkTarget.customerId) q.set("customerId", linkTarget.customerId);
+    if (linkTarget.name) q.set("name", linkTarget.name);
+    try {
+      var out = await api("/api/customers/resolve?" + q.toString(), { method: "GET" });
+      setVal("customerName", out.customer.customerName);
+      setCurrentCustomer(out.customer);
+    } catch(e) {
+      if (!linkTarget.name) throw new Error("This Dynamics account isn't linked to a customer in the Technology Matrix yet.");
+    }
   }
 
   // --- Embed mode for Dynamics iFrame ---
   (function initFromQuery(){
     var qs = new URLSearchParams(location.search);
     var customerNameQS = String(qs.get("customerName") || "").trim();
+    var customerIdQS = String(qs.get("customerId") || "").trim();
+    var accountIdQS = String(qs.get("accountId") || "").trim();
     var embed = qs.get("embed") === "1";
+    var tokenQS = String(qs.get("token") || "").trim();
+
+    // Dynamics can also append its own record parameters (id=%7BGUID%7D&typename=account).
+    if (!accountIdQS && qs.get("typename") === "account" && qs.get("id")) {
+      accountIdQS = String(qs.get("id")).replace(/[{}]/g, "");
+    }
+    embedMode = embed;
+    setFilters(qs);
+
+    if (tokenQS) {
+      setToken(tokenQS);
+      // Keep the credential out of the address bar / history.
+      qs.delete("token");
+      try { history.replaceState(null, "", location.pathname + (qs.toString() ? "?" + qs.toString() : "")); } catch(_e) {}
+    }
 
     if (embed) {
       document.body.style.margin = "10px";
@@ -804,8 +7103,12 @@ function htmlPage(env) {
       if (lp) lp.style.display = "none";
     }
 
-    if (customerNameQS) {
-      setVal("customerName", customerNameQS);
+    if (accountIdQS || customerIdQS) {
+      linkTarget = { accountId: accountIdQS, customerId: customerIdQS, name: customerNameQS };
+    }
+
+    if (customerNameQS || accountIdQS || customerIdQS) {
+      if (customerNameQS) setVal("customerName", customerNameQS);
       el("customerName").setAttribute("readonly","readonly");
       el("customerName").style.opacity = "0.75";
     }
@@ -823,19 +7126,29 @@ function htmlPage(env) {
     setVal("functionalFit", "5");
     setVal("dateImplemented", "");
     setVal("contractExpiration", "");
+    setCosts(null);
+    setTarget(null);
     setVal("editingId", "");
+    editingItem = null;
+    hideConflict();
     var sb = el("saveBtn");
     if (sb) sb.textContent = "Save";
     initSeg("techSeg", "technicalFit");
     initSeg("funcSeg", "functionalFit");
+    setScores(null, null);
+    renderCategoryOptions();
+    renderSubcategoryOptions("");
+    renderCatalogOptions();
     updateCrmLink();
     updateTimePreview();
+    clearFieldErrors();
     setError("");
   });
 
-  el("saveBtn").addEventListener("click", async function(){
+  async function saveItem(){
     try {
       setError("");
+      clearFieldErrors();
       var customerName = String(val("customerName") || "").trim();
       var category = val("category");
       var solution = String(val("solution") || "").trim();
@@ -846,28 +7159,44 @@ function htmlPage(env) {
       var dateImplemented = val("dateImplemented");
       var contractExpiration = val("contractExpiration");
 
-      if (!customerName) throw new Error("Customer Name is required.");
-      if (!category) throw new Error("Category is required.");
-      if (!solution) throw new Error("Current solution is required.");
+      var missing = {};
+      if (!customerName) missing.customerName = ["Customer Name is required."];
+      if (!category) missing.category = ["Category is required."];
+      if (!solution) missing.solution = ["Current solution is required."];
+      if (Object.keys(missing).length) {
+        var invalid = new Error("Please fix the highlighted fields.");
+        invalid.errors = missing;
+        throw invalid;
+      }
 
       var editingId = String(val("editingId") || "").trim();
       var method = editingId ? "PUT" : "POST";
       var path = editingId ? ("/api/items/" + encodeURIComponent(editingId)) : "/api/items";
+      var headers = { "content-type": "application/json" };
+      if (editingId && editingItem && editingItem.updatedAt) headers["if-match"] = '"' + editingItem.updatedAt + '"';
 
       var payload = {
         customerName: customerName,
+        customerId: sameCustomerName(currentCustomer, customerName) ? currentCustomer._id : "",
         category: category,
         solution: solution,
         vendor: vendor,
         notes: notes,
         technicalFit: technicalFit,
         functionalFit: functionalFit,
+        subcategory: val("subcategory"),
+        scores: collectScores(),
         dateImplemented: dateImplemented,
-        contractExpiration: contractExpiration
+        contractExpiration: contractExpiration,
+        monthlyCost: String(val("monthlyCost") || "").trim(),
+        oneTimeCost: String(val("oneTimeCost") || "").trim(),
+        seats: String(val("seats") || "").trim(),
+        currency: String(val("currency") || "").trim(),
+        target: collectTarget()
       };
 
       await api(path, { method: method,
-                        headers: { "content-type": "application/json" },
+                        headers: headers,
                         body: JSON.stringify(payload)
       });
 
@@ -876,15 +7205,29 @@ function htmlPage(env) {
       setVal("notes", "");
       setVal("dateImplemented", "");
       setVal("contractExpiration", "");
+      setCosts(null);
+      setTarget(null);
       setVal("editingId", "");
+      editingItem = null;
+      updateCatalogHint();
       var sb2 = el("saveBtn");
       if (sb2) sb2.textContent = "Save";
 
       updateCrmLink();
       await refresh();
     } catch(e) {
-      setError(e.message || String(e));
+      if (e.status === 409 && e.data && e.data.conflict && payload) return showConflict(payload, e.data.item);
+      if (e.errors && showFieldErrors(e.errors)) setError("Please fix the highlighted fields.");
+      else setError(e.message || String(e));
     }
+  }
+
+  el("saveBtn").addEventListener("click", function(){ saveItem(); });
+
+  el("conflictApply").addEventListener("click", function(){ applyMerge(); });
+
+  el("conflictTheirs").addEventListener("click", function(){
+    if (pendingMerge) startEdit(pendingMerge.theirs);
   });
 
   var copyBtn = el("copyCrmLink");
@@ -899,19 +7242,425 @@ function htmlPage(env) {
       } catch (e) {
         var inp = el("crmLink");
         if (inp) { inp.focus(); inp.select(); }
-        setError("Copy failed — select and copy manually.");
+        setError("Copy failed \u2014 select and copy manually.");
+      }
+    });
+  }
+
+  var genBtn = el("genEmbedToken");
+  if (genBtn) {
+    genBtn.addEventListener("click", async function(){
+      try {
+        setError("");
+        var out = await api("/api/auth/token", {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ sub: "dynamics", role: val("embedRole") || "viewer", ttlDays: 365 })
+        });
+        embedToken = out.token || "";
+        updateCrmLink();
+      } catch(e) {
+        setError(e.message || String(e));
       }
     });
   }
 
+  el("saveScoringBtn").addEventListener("click", async function(){
+    try {
+      setError("");
+      var model;
+      try { model = JSON.parse(val("scoringJson")); }
+      catch(_e) { throw new Error("The scoring model is not valid JSON."); }
+
+      var out = await api("/api/scoring-model", {
+        method: "PUT",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ model: model })
+      });
+      scoringModel = out.model;
+      setVal("scoringJson", JSON.stringify(scoringModel, null, 2));
+      renderCriteria();
+      updateTimePreview();
+      await refresh();
+    } catch(e) {
+      setError(e.message || String(e));
+    }
+  });
+
+  el("category").addEventListener("change", function(){
+    renderSubcategoryOptions("");
+    renderCatalogOptions();
+  });
+
+  el("categoriesBody").addEventListener("click", async function(e){
+    var btn = e.target;
+    var act = btn && btn.getAttribute ? btn.getAttribute("data-act") : "";
+    if (!act) return;
+    var row = btn.closest("tr");
+    var cid = row.getAttribute("data-cat") || "";
+    function field(f){ return row.querySelector('[data-f="' + f + '"]').value; }
+
+    try {
+      setError("");
+      var body = act === "retire" ? { retired: true }
+        : act === "reinstate" ? { retired: false }
+        : { name: field("name"), order: field("order"), subcategories: field("subcategories") };
+      await api(act === "add" ? "/api/categories" : "/api/categories/" + encodeURIComponent(cid), {
+        method: act === "add" ? "POST" : "PUT",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      await loadCategories();
+      await refresh();
+    } catch(err) {
+      setError(err.message || String(err));
+    }
+  });
+
+  el("mergeCategoryBtn").addEventListener("click", async function(){
+    try {
+      setError("");
+      var sourceId = val("mergeCategorySource");
+      var targetId = val("mergeCategoryTarget");
+      if (!sourceId || !targetId || sourceId === targetId) throw new Error("Pick two different categories to merge.");
+      var src = el("mergeCategorySource");
+      var dst = el("mergeCategoryTarget");
+      var msg = "Move every item in \u201c" + src.options[src.selectedIndex].text + "\u201d to \u201c"
+        + dst.options[dst.selectedIndex].text + "\u201d? The first category will be removed.";
+      if (!window.confirm(msg)) return;
+
+      await api("/api/categories/" + encodeURIComponent(targetId) + "/merge", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ sourceId: sourceId })
+      });
+      await loadCategories();
+      await refresh();
+    } catch(e) {
+      setError(e.message || String(e));
+    }
+  });
+
+  el("solution").addEventListener("input", updateCatalogHint);
+  el("vendor").addEventListener("input", updateCatalogHint);
+
+  // Picking a catalogued solution fills in its vendor when none is typed yet.
+  el("solution").addEventListener("change", function(){
+    var p = pickedProduct();
+    if (p && p.vendorName && !String(val("vendor") || "").trim()) setVal("vendor", p.vendorName);
+    updateCatalogHint();
+  });
+
+  el("catalogBody").addEventListener("click", async function(e){
+    var btn = e.target;
+    var act = btn && btn.getAttribute ? btn.getAttribute("data-act") : "";
+    if (!act) return;
+    var row = btn.closest("tr");
+    var eid = row.getAttribute("data-entry") || "";
+    function field(f){ var n = row.querySelector('[data-f="' + f + '"]'); return n ? n.value : undefined; }
+
+    try {
+      setError("");
+      if (act === "delete") {
+        if (!window.confirm("Delete \u201c" + field("name") + "\u201d from the catalog?")) return;
+        await api("/api/catalog/" + encodeURIComponent(eid), { method: "DELETE" });
+      } else {
+        var body = {
+          name: field("name"),
+          vendorId: field("vendorId"),
+          categories: field("categories"),
+          aliases: field("aliases"),
+          eolDate: field("eolDate"),
+          eosDate: field("eosDate")
+        };
+        if (act === "add") body.kind = field("kind");
+        await api(act === "add" ? "/api/catalog" : "/api/catalog/" + encodeURIComponent(eid), {
+          method: act === "add" ? "POST" : "PUT",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(body)
+        });
+      }
+      await loadCatalog();
+      await refresh();
+    } catch(err) {
+      setError(err.message || String(err));
+    }
+  });
+
+  el("unmatchedKind").addEventListener("change", function(){
+    unmatchedValues = [];
+    el("unmatchedList").innerHTML = "";
+    el("foldRow").classList.add("hidden");
+    renderFoldTargets();
+  });
+
+  el("unmatchedBtn").addEventListener("click", function(){
+    setError("");
+    loadUnmatched().catch(function(e){ setError(e.message || String(e)); });
+  });
+
+  // Checking a value that already matches an entry by name points the fold at it.
+  el("unmatchedList").addEventListener("change", function(e){
+    var box = e.target;
+    if (!box || box.type !== "checkbox" || !box.checked) return;
+    var u = unmatchedValues[Number(box.getAttribute("data-i"))];
+    if (u && u.suggestedId) setVal("foldTarget", u.suggestedId);
+  });
+
+  el("foldBtn").addEventListener("click", async function(){
+    try {
+      setError("");
+      var values = [];
+      var boxes = el("unmatchedList").querySelectorAll("input[type=checkbox]");
+      for (var i=0; i<boxes.length; i++){
+        if (boxes[i].checked) values = values.concat(unmatchedValues[Number(boxes[i].getAttribute("data-i"))].spellings);
+      }
+      var targetId = val("foldTarget");
+      if (!values.length || !targetId) throw new Error("Check the values to fold and pick a catalog entry.");
+      var sel = el("foldTarget");
+      var msg = "Link every item using \u201c" + values.join("\u201d, \u201c") + "\u201d to \u201c"
+        + sel.options[sel.selectedIndex].text + "\u201d? The values become aliases of the entry.";
+      if (!window.confirm(msg)) return;
+
+      await api("/api/catalog/" + encodeURIComponent(targetId) + "/merge", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ values: values })
+      });
+      await loadCatalog();
+      await loadUnmatched();
+      await refresh();
+    } catch(e) {
+      setError(e.message || String(e));
+    }
+  });
+
+  el("closeHistoryBtn").addEventListener("click", function(){
+    el("historyPanel").classList.add("hidden");
+  });
+
+  // Enter searches; clearing the box (Enter on empty, or the field's own clear button) goes back to the matrix.
+  function runSearch(){
+    setView(String(val("searchBox") || "").trim() ? "search" : "matrix");
+    refresh().catch(function(err){ setError(err.message || String(err)); });
+  }
+  el("searchBox").addEventListener("keydown", function(e){
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    runSearch();
+  });
+  el("searchBox").addEventListener("search", runSearch);
+  el("searchTime").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+  el("searchThisCustomer").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+
+  el("dashboardBtn").addEventListener("click", function(){ toggleView("dashboard"); });
+  el("renewalsBtn").addEventListener("click", function(){ toggleView("renewals"); });
+
+  el("statsDateField").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+  el("statsFrom").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+  el("statsTo").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+
+  el("renewalDays").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+  el("renewalTime").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+
+  el("deletedBtn").addEventListener("click", function(){ toggleView("deleted"); });
+
+  el("purgeBtn").addEventListener("click", async function(){
+    try {
+      if (!window.confirm("Permanently remove items deleted before the retention window? This cannot be undone.")) return;
+      var out = await api("/api/items/purge", { method: "POST" });
+      await refresh();
+      setError("Purged " + (out.purged || 0) + " item(s).");
+    } catch(e) {
+      setError(e.message || String(e));
+    }
+  });
+
+  el("compareBtn").addEventListener("click", function(){ toggleView("compare"); });
+  el("roadmapBtn").addEventListener("click", function(){ toggleView("roadmap"); });
+  el("roadmapStatus").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+  el("compareFrom").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+  el("compareTo").addEventListener("change", function(){ refresh().catch(function(e){ setError(e.message || String(e)); }); });
+
+  el("takeSnapshotBtn").addEventListener("click", async function(){
+    try {
+      setError("");
+      var base = compareBase();
+      if (!base) throw new Error("Open a customer first.");
+      var label = String(val("snapshotLabel") || "").trim();
+      if (!label) throw new Error("Give the snapshot a label.");
+      var out = await api(base + "/snapshots", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ label: label, date: val("snapshotDate") })
+      });
+      setVal("snapshotLabel", "");
+      setVal("snapshotDate", "");
+      await loadCompare();
+      setVal("compareFrom", out.snapshot._id);
+      setVal("compareTo", "live");
+      await refresh();
+    } catch(e) {
+      setError(e.message || String(e));
+    }
+  });
+
+  el("deleteSnapshotBtn").addEventListener("click", async function(){
+    try {
+      setError("");
+      var sid = val("compareFrom");
+      if (!sid) return;
+      var sel = el("compareFrom");
+      if (!window.confirm("Delete the snapshot \u201c" + sel.options[sel.selectedIndex].text + "\u201d?")) return;
+      await api(compareBase() + "/snapshots/" + encodeURIComponent(sid), { method: "DELETE" });
+      await refresh();
+    } catch(e) {
+      setError(e.message || String(e));
+    }
+  });
+
+  el("reportBtn").addEventListener("click", function(){
+    openReport().catch(function(e){ setError(e.message || String(e)); });
+  });
+  el("exportCsvBtn").addEventListener("click", function(){
+    downloadExport("csv").catch(function(e){ setError(e.message || String(e)); });
+  });
+  el("exportXlsxBtn").addEventListener("click", function(){
+    downloadExport("xlsx").catch(function(e){ setError(e.message || String(e)); });
+  });
+
   el("refreshBtn").addEventListener("click", function(){ refresh().catch(function(){}); });
-  el("filterCategory").addEventListener("change", function(){ refresh().catch(function(){}); });
+  el("filtersBtn").addEventListener("click", function(){
+    el("filterPanel").classList.toggle("hidden");
+  });
+
+  ["filterCategory", "filterVendor", "filterTechMin", "filterTechMax", "filterFuncMin", "filterFuncMax",
+   "filterExpiresFrom", "filterExpiresTo", "filterExpiresWithin"].forEach(function(id){
+    el(id).addEventListener("change", onFiltersChanged);
+  });
+  el("filterTime").addEventListener("change", onFiltersChanged);
+
+  el("clearFiltersBtn").addEventListener("click", function(){
+    setFilters(new URLSearchParams());
+    onFiltersChanged();
+  });
 
   el("customerName").addEventListener("change", function(){
     updateCrmLink();
     refresh().catch(function(){});
   });
 
+  el("saveCustomerBtn").addEventListener("click", async function(){
+    try {
+      setError("");
+      if (!currentCustomer) return;
+      var out = await api("/api/customers/" + encodeURIComponent(currentCustomer._id), {
+        method: "PUT",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({
+          customerName: String(val("custName") || "").trim(),
+          dynamicsAccountId: String(val("custAccountId") || "").trim(),
+          aliases: String(val("custAliases") || "").split(",")
+        })
+      });
+      setVal("customerName", out.customer.customerName);
+      await refresh();
+    } catch(e) {
+      setError(e.message || String(e));
+    }
+  });
+
+  el("crmSyncBtn").addEventListener("click", async function(){
+    var btn = el("crmSyncBtn");
+    try {
+      setError("");
+      if (!currentCustomer) return;
+      btn.disabled = true;
+      var out = await api("/api/crm/sync", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ customerId: currentCustomer._id, opportunities: el("crmSyncOpps").checked })
+      });
+      var entry = out.results && out.results[0];
+      el("crmSyncStatus").textContent = crmStatusText(entry);
+      if (entry && !entry.ok) setError("Dynamics sync failed: " + entry.error);
+    } catch(e) {
+      setError(e.message || String(e));
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  el("mergeCustomerBtn").addEventListener("click", async function(){
+    try {
+      setError("");
+      if (!currentCustomer) return;
+      var sourceName = String(val("mergeSourceName") || "").trim();
+      if (!sourceName) { setError("Enter the duplicate customer's name."); return; }
+
+      var found = await api("/api/customers/resolve?name=" + encodeURIComponent(sourceName), { method: "GET" });
+      var source = found.customer;
+      if (!window.confirm("Merge \u201c" + source.customerName + "\u201d (" + source.count + " item(s)) into \u201c" + currentCustomer.customerName + "\u201d?")) return;
+
+      await api("/api/customers/" + encodeURIComponent(currentCustomer._id) + "/merge", {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ sourceId: source._id })
+      });
+      setVal("mergeSourceName", "");
+      await refresh();
+    } catch(e) {
+      setError(e.message || String(e));
+    }
+  });
+
+  el("importFile").addEventListener("change", function(){
+    var f = el("importFile").files && el("importFile").files[0];
+    importText = "";
+    el("importRunBtn").disabled = true;
+    el("importReport").innerHTML = "";
+    if (!f) return;
+    f.text().then(function(t){
+      importText = t;
+      return runImport(true);
+    }).catch(function(e){ setError(e.message || String(e)); });
+  });
+
+  el("importPreviewBtn").addEventListener("click", function(){
+    setError("");
+    runImport(true).catch(function(e){ setError(e.message || String(e)); });
+  });
+
+  el("importRunBtn").addEventListener("click", function(){
+    setError("");
+    el("importRunBtn").disabled = true;
+    runImport(false).catch(function(e){ setError(e.message || String(e)); });
+  });
+
+  var browseTimer = null;
+  el("browseCustomerName").addEventListener("input", function(){
+    if (browseTimer) clearTimeout(browseTimer);
+    browseTimer = setTimeout(function(){
+      if (view !== "matrix" || String(val("customerName") || "").trim()) return;
+      loadCustomers(false).catch(function(e){ setError(e.message || String(e)); });
+    }, 250);
+  });
+
+  el("loadMoreBtn").addEventListener("click", function(){
+    var more = String(val("customerName") || "").trim() ? loadItems(true) : loadCustomers(true);
+    more.catch(function(e){ setError(e.message || String(e)); });
+  });
+
+  // Header sort links exist only in item mode; clicking the active one flips the direction.
+  el("th1").parentNode.addEventListener("click", function(ev){
+    var a = ev.target && ev.target.closest ? ev.target.closest("a[data-sort]") : null;
+    if (!a) return;
+    ev.preventDefault();
+    var key = a.getAttribute("data-sort");
+    itemSort = itemSort.key === key ? { key: key, dir: -itemSort.dir } : { key: key, dir: 1 };
+    loadItems(false).catch(function(e){ setError(e.message || String(e)); });
+  });
+
   var openBtn = el("openCustomerBtn");
   if (openBtn) {
     openBtn.addEventListener("click", function(){
@@ -925,7 +7674,15 @@ function htmlPage(env) {
 
   updateTimePreview();
   // Ensure first load works even if query params set readonly fields
-  setTimeout(function(){ refresh().catch(function(){}); }, 0);
+  setTimeout(function(){
+    loadMe()
+      .then(loadScoringModel)
+      .then(loadCategories)
+      .then(loadCatalog)
+      .then(resolveLinkTarget)
+      .then(refresh)
+      .catch(function(e){ setError(e.message || String(e)); });
+  }, 0);
 })();
 </script>
 </body>